@@ -0,0 +1,188 @@
+// alternatives.js — Explore alternative load plans and rank them
+//
+// wallPlannerSolve() is deterministic: one inventory, one plan. Here the same
+// fleet is solved again with other choices at the solver's decision points —
+// Phase 3B rotations, the order weak walls are merged in, which department
+// loads first — and the distinct plans are ranked on depth used, fill,
+// stability and mixed walls.
+
+import { solveFleet } from './fleet.js';
+
+// Solver decision points (config.variant) and department order; the first value is the default
+const ROTATIONS = {
+  best: '',
+  keep: 'Sheet rotations kept',
+  flip: 'Orphan rotations flipped',
+};
+const MERGE_ORDERS = {
+  widest: '',
+  narrowest: 'Narrowest walls merged first',
+  deepest: 'Deepest walls merged first',
+};
+
+// Columns whose tops differ by more than this make an uneven wall (same limit as Phase 4)
+const FLAT_TOP_TOL = 10;
+
+/**
+ * Solve a fleet with several solver variations and rank the distinct plans.
+ *
+ * Plans are ranked by unplaced cases, then physical errors, then the sum of
+ * their ranks on depth used (less is better), fill of the used space, stability
+ * score (more is better) and number of mixed walls (fewer is better).
+ *
+ * @param {Object[]} cases — case objects (see wallPlannerSolve)
+ * @param {Object[]} trucks — truck profiles, one per truck in the fleet (see solveFleet)
+ * @param {Object} options — solveFleet() options, plus { count (default 3), maxVariants (default 24) }
+ *   onProgress: as for solveFleet(), plus { variant, variants }
+ * @returns {{ plans: Object[], explored: number, distinct: number }}
+ *   plans: the best `count` — [{ rank, label, variant, metrics, fleet }]
+ *     variant: { rotation, mergeOrder, leadDept } (leadDept '' = sheet order)
+ *     metrics: { depth, depthPct, fillPct, stability, mixedWalls, unplaced, errors }
+ *     fleet: the solveFleet() output
+ */
+export function exploreAlternatives(cases, trucks, options = {}) {
+  const count = options.count || 3;
+  const deptPriority = options.deptPriority || {};
+  const variants = buildVariants(Object.keys(deptPriority), options.maxVariants || 24);
+
+  const seen = new Set();
+  const plans = [];
+  variants.forEach((variant, vi) => {
+    const onProgress = options.onProgress
+      ? p => options.onProgress({ ...p, variant: vi + 1, variants: variants.length })
+      : null;
+    const fleet = solveFleet(cases, trucks, {
+      ...options,
+      deptPriority: variant.leadDept ? leadDeptPriority(deptPriority, variant.leadDept) : deptPriority,
+      variant: { rotation: variant.rotation, mergeOrder: variant.mergeOrder },
+      onProgress,
+    });
+    // Variations often land on the same plan — keep the first (simplest) one
+    const sig = planSignature(fleet);
+    if (seen.has(sig)) return;
+    seen.add(sig);
+    plans.push({ rank: 0, label: variantLabel(variant), variant, metrics: planMetrics(fleet), fleet });
+  });
+
+  rankPlans(plans);
+  console.log(`[Alternatives] ${variants.length} variations → ${plans.length} distinct plans; best: ${plans[0].label}`);
+  return { plans: plans.slice(0, count), explored: variants.length, distinct: plans.length };
+}
+
+/**
+ * Compare a solved fleet on the ranking metrics.
+ * stability (0–100): 50 pts for wall width fill, 30 for walls with a flat top,
+ * 20 for a centered load (lateral CoG); −10 per physical error.
+ *
+ * @param {Object} fleet — solveFleet() output
+ * @returns {{ depth: number, depthPct: number, fillPct: number, stability: number,
+ *   mixedWalls: number, unplaced: number, errors: number }}
+ */
+export function planMetrics(fleet) {
+  let depth = 0, length = 0, used = 0, volume = 0, errors = 0;
+  let fill = 0, flat = 0, mixedWalls = 0, balance = 0, weighed = 0;
+  const walls = fleet.trucks.flatMap(t => t.result.wallSections);
+
+  for (const { truck, result } of fleet.trucks) {
+    const truckDepth = result.wallSections.reduce((m, w) => Math.max(m, w.yEnd), 0);
+    depth += truckDepth;
+    length += truck.interiorLength;
+    used += truck.interiorWidth * truck.interiorHeight * truckDepth;
+    volume += result.placements.reduce((s, p) => s + p.width * p.depth * p.height, 0);
+    errors += result.violations.filter(v => v.severity === 'error').length;
+    if (result.cog) {
+      balance += Math.max(0, 1 - Math.abs(result.cog.lateralPct) / 100);
+      weighed++;
+    }
+  }
+  for (const ws of walls) {
+    fill += Math.min(ws.fillPct, 100) / 100;
+    if (wallIsFlat(ws.placements)) flat++;
+    if (new Set(ws.placements.map(p => p.subgroup)).size > 1) mixedWalls++;
+  }
+
+  const n = walls.length || 1;
+  const stability = 50 * (fill / n) + 30 * (flat / n) + 20 * (weighed ? balance / weighed : 1) - 10 * errors;
+  return {
+    depth: Math.round(depth),
+    depthPct: length ? Math.round((depth / length) * 100) : 0,
+    fillPct: used ? Math.round((volume / used) * 100) : 0,
+    stability: Math.max(0, Math.min(100, Math.round(stability))),
+    mixedWalls,
+    unplaced: fleet.unplaced.length,
+    errors,
+  };
+}
+
+// Default first, then one change at a time, then combinations — cut at maxVariants
+function buildVariants(depts, maxVariants) {
+  const variants = [];
+  for (const rotation of Object.keys(ROTATIONS)) {
+    for (const mergeOrder of Object.keys(MERGE_ORDERS)) {
+      for (const leadDept of [''].concat(depts.length > 1 ? depts : [])) {
+        variants.push({ rotation, mergeOrder, leadDept });
+      }
+    }
+  }
+  const changes = v => (v.rotation !== 'best') + (v.mergeOrder !== 'widest') + (v.leadDept !== '');
+  return variants
+    .map((v, i) => ({ v, i }))
+    .sort((a, b) => changes(a.v) - changes(b.v) || a.i - b.i)
+    .slice(0, maxVariants)
+    .map(e => e.v);
+}
+
+// Department priority with `dept` moved to the front, the others keeping their order
+function leadDeptPriority(deptPriority, dept) {
+  const order = Object.keys(deptPriority).sort((a, b) => deptPriority[a] - deptPriority[b]);
+  const out = {};
+  [dept].concat(order.filter(d => d !== dept)).forEach((d, i) => { out[d] = i + 1; });
+  return out;
+}
+
+// "Standard", or what the variant changes: "Sheet rotations kept · SON loads first"
+function variantLabel(v) {
+  const parts = [ROTATIONS[v.rotation], MERGE_ORDERS[v.mergeOrder], v.leadDept ? `${v.leadDept} loads first` : '']
+    .filter(Boolean);
+  return parts.length ? parts.join(' · ') : 'Standard';
+}
+
+// Column tops (placements grouped by x) within FLAT_TOP_TOL of each other
+function wallIsFlat(placements) {
+  const tops = new Map();
+  for (const p of placements) {
+    const x = Math.round(p.x);
+    tops.set(x, Math.max(tops.get(x) || 0, p.z + p.height));
+  }
+  const heights = [...tops.values()];
+  return heights.length === 0 || Math.max(...heights) - Math.min(...heights) <= FLAT_TOP_TOL;
+}
+
+// Where every case ended up, truck by truck
+function planSignature(fleet) {
+  return fleet.trucks.map(t => t.result.placements
+    .map(p => `${p.name}@${Math.round(p.x)},${Math.round(p.y)},${Math.round(p.z)},${p.rotation}${p.tip || ''}`)
+    .sort()
+    .join(';')).join('|');
+}
+
+// Order plans best first and number them
+function rankPlans(plans) {
+  const rankBy = (key, better) => {
+    const sorted = plans.map(p => p.metrics[key]).sort((a, b) => better * (b - a));
+    return p => sorted.indexOf(p.metrics[key]);
+  };
+  const ranks = [
+    rankBy('depth', -1),
+    rankBy('fillPct', 1),
+    rankBy('stability', 1),
+    rankBy('mixedWalls', -1),
+  ];
+  const total = new Map(plans.map(p => [p, ranks.reduce((s, r) => s + r(p), 0)]));
+  plans.sort((a, b) =>
+    (a.metrics.unplaced - b.metrics.unplaced) ||
+    (a.metrics.errors - b.metrics.errors) ||
+    (total.get(a) - total.get(b)) ||
+    (a.metrics.depth - b.metrics.depth));
+  plans.forEach((p, i) => { p.rank = i + 1; });
+}
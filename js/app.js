@@ -1,20 +1,38 @@
 // app.js — Application initialization, UI wiring, solver integration
-import { loadTruckConfig, loadBlockConfig } from './config-loader.js';
+import { loadTruckConfig, loadBlockConfig, loadRecipeConfig } from './config-loader.js';
 import { TruckViewer } from './viewer3d.js';
 import { fetchAndParseCases } from './sheet-loader.js';
-import { wallPlannerSolve, buildDeptPriority, buildDeptColors } from './solver.js';
+import { computeLoadWeight, computeCenterOfGravity, computeSecuringPlan, computeVoids, resolveTuning, buildDeptPriority, buildDeptColors, WP_TUNING_PRESETS } from './solver.js';
+import { truckSolverConfig, parseTruckNumber, FLEET_STRATEGIES } from './fleet.js';
+import { runSolverTask } from './solver-runner.js';
 import { TruckEditor } from './editor.js';
 import { SpreadsheetEditor } from './spreadsheet.js';
-import { exportLISP, exportSketchUp } from './export.js';
+import { exportLISP, exportSketchUp, exportLoadSheet, exportPlanJSON, parsePlanJSON } from './export.js';
+import { extractRecipes, mergeRecipes, loadLearnedRecipes, saveLearnedRecipes, clearLearnedRecipes } from './recipes.js';
+import { LENGTH_UNITS, formatLength, parseUnit } from './units.js';
 
 let viewer;
 let editor;
 let spreadsheetEditor;
 let truckConfig;
 let blockConfig = null;  // null = universal mode (no legacy config)
+let configRecipes = [];  // wall recipes from config/wall-recipes.json
+let kbPatterns = [];     // config + learned recipes passed to the solver (Phase 3A)
 let currentTruckKey;
 let parsedCases = [];    // cases from last calculation (unplaced)
 let lastWallSections = [];// wall sections from last solver run
+let lastWeight = null;   // { total, maxPayload, axles } from last solver run / editor save
+let lastCog = null;      // center of gravity from last solver run / editor save (null = no weights)
+let lastSecuring = null; // load bars and straps from last solver run / editor save
+let lastVoids = [];      // side gaps in partial walls from last solver run / editor save
+let lastUnplaced = [];   // [{ case, reason, message }] cases the solver could not fit
+let lastFleet = null;    // solveFleet() result — one solver result per truck
+let fleetIndex = 0;      // truck of lastFleet shown in the viewer
+let fleetKeys = null;    // truck keys of an applied sizing candidate (null = count × header truck)
+let preloadedPlan = null; // { file, placements } saved plan already in truck 1 (partial reload)
+let solverAbort = null;  // AbortController of the solver run in progress
+let displayUnit = 'in';  // length unit of stats, tooltips and exports
+let inputUnit = 'in';    // length unit of sheet rows without one (no unit cell, no "Largeur (cm)" header)
 let autoDepartments = {};// auto-generated dept colors from cases
 let isUniversalMode = true;
 let editorMode = false;
@@ -39,6 +57,13 @@ const contentArea = document.getElementById('content-area');
 const splitter = document.getElementById('splitter');
 const btnEditor = document.getElementById('btn-editor');
 const btnLayoutMode = document.getElementById('btn-layout-mode');
+const fleetCountInput = document.getElementById('fleet-count');
+const fleetStrategySelect = document.getElementById('fleet-strategy');
+const tuningSelect = document.getElementById('tuning-select');
+const optimizeToggle = document.getElementById('optimize-toggle');
+const fillersToggle = document.getElementById('fillers-toggle');
+const unitSelect = document.getElementById('unit-select');
+const inputUnitSelect = document.getElementById('input-unit-select');
 
 // Stats
 const statCases = document.getElementById('stat-cases');
@@ -47,9 +72,13 @@ const statDepth = document.getElementById('stat-depth');
 const statFill = document.getElementById('stat-fill');
 const statBarFill = document.getElementById('stat-bar-fill');
 const statVolume = document.getElementById('stat-volume');
+const statWeight = document.getElementById('stat-weight');
+const statCog = document.getElementById('stat-cog');
+const statSecuring = document.getElementById('stat-securing');
 const sheetStatus = document.getElementById('sheet-status');
 const loadingOverlay = document.getElementById('loading-overlay');
 const loadingText = document.getElementById('loading-text');
+const loadingProgressFill = document.getElementById('loading-progress-fill');
 
 // Sidebar
 const legendList = document.getElementById('legend-list');
@@ -58,13 +87,30 @@ const visibleCount = document.getElementById('visible-count');
 const detailPanel = document.getElementById('detail-panel');
 const detailContent = document.getElementById('detail-content');
 const detailClose = document.getElementById('detail-close');
+const unplacedSection = document.getElementById('unplaced-section');
+const unplacedList = document.getElementById('unplaced-list');
+const unplacedCount = document.getElementById('unplaced-count');
+const fleetSection = document.getElementById('fleet-section');
+const fleetList = document.getElementById('fleet-list');
+const sizingSection = document.getElementById('sizing-section');
+const sizingList = document.getElementById('sizing-list');
+const reportSection = document.getElementById('report-section');
+const reportList = document.getElementById('report-list');
+const alternativesPanel = document.getElementById('alternatives-panel');
+const alternativesSummary = document.getElementById('alternatives-summary');
+const alternativesGrid = document.getElementById('alternatives-grid');
 
 // ── Boot ──
 async function boot() {
   try {
     // Load truck config
     truckConfig = await loadTruckConfig();
+    configRecipes = await loadRecipeConfig();
+    kbPatterns = mergeRecipes(configRecipes, loadLearnedRecipes());
     populateTruckSelect();
+    populateFleetStrategySelect();
+    populateTuningSelect();
+    populateUnitSelect();
 
     // Populate config dropdown (universal default + legacy options)
     populateBlockSelect();
@@ -91,6 +137,11 @@ async function boot() {
     // Restore sheet URL from localStorage
     const savedUrl = localStorage.getItem('tlp-sheet-url');
     if (savedUrl) sheetUrlInput.value = savedUrl;
+    tuningSelect.value = loadProjectTuning();
+    optimizeToggle.checked = localStorage.getItem('tlp-optimize') === 'true';
+    fillersToggle.checked = localStorage.getItem('tlp-fillers') === 'true';
+    setDisplayUnit(localStorage.getItem('tlp-unit'));
+    setInputUnit(localStorage.getItem('tlp-input-unit'));
 
     // Restore config mode from localStorage
     const savedConfig = localStorage.getItem('tlp-config-mode');
@@ -130,6 +181,91 @@ function populateTruckSelect() {
   }
 }
 
+function populateFleetStrategySelect() {
+  fleetStrategySelect.innerHTML = '';
+  for (const [key, label] of Object.entries(FLEET_STRATEGIES)) {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = label;
+    fleetStrategySelect.appendChild(opt);
+  }
+}
+
+function populateUnitSelect() {
+  for (const select of [unitSelect, inputUnitSelect]) {
+    select.innerHTML = '';
+    for (const [key, u] of Object.entries(LENGTH_UNITS)) {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = u.label;
+      select.appendChild(opt);
+    }
+  }
+}
+
+// Length unit for stats, tooltips and exports (solving stays in inches)
+function setDisplayUnit(unit) {
+  displayUnit = parseUnit(unit) || 'in';
+  unitSelect.value = displayUnit;
+  viewer.setUnit(displayUnit);
+}
+
+// Length unit of sheet rows that name none — case sizes, so it never follows the display unit
+function setInputUnit(unit) {
+  inputUnit = parseUnit(unit) || 'in';
+  inputUnitSelect.value = inputUnit;
+  spreadsheetEditor.setDefaultUnit(inputUnit);
+}
+
+// A length in inches, in the display unit: 36 → '36"' / '91.4 cm'
+function len(inches, digits) {
+  return formatLength(inches, displayUnit, digits);
+}
+
+function populateTuningSelect() {
+  tuningSelect.innerHTML = '';
+  for (const [key, preset] of Object.entries(WP_TUNING_PRESETS)) {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = preset.label;
+    tuningSelect.appendChild(opt);
+  }
+}
+
+// ── Tuning preset per project (a project = its sheet URL; no URL = 'local') ──
+const TUNING_STORAGE_KEY = 'tlp-tuning';
+
+function projectKey() {
+  return sheetUrlInput.value.trim() || 'local';
+}
+
+function loadProjectTuning() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TUNING_STORAGE_KEY) || '{}');
+    const key = saved[projectKey()];
+    return WP_TUNING_PRESETS[key] ? key : 'standard';
+  } catch (err) {
+    console.warn('[TLP] Failed to read tuning presets:', err);
+    return 'standard';
+  }
+}
+
+function saveProjectTuning(key) {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(TUNING_STORAGE_KEY) || '{}');
+  } catch (err) {
+    console.warn('[TLP] Resetting unreadable tuning presets:', err);
+  }
+  saved[projectKey()] = key;
+  localStorage.setItem(TUNING_STORAGE_KEY, JSON.stringify(saved));
+}
+
+// Tuning overrides of the selected preset (validated by the solver)
+function currentTuning() {
+  return (WP_TUNING_PRESETS[tuningSelect.value] || WP_TUNING_PRESETS.standard).tuning;
+}
+
 function populateBlockSelect() {
   blockSelect.innerHTML = '';
   // Universal mode (default)
@@ -186,8 +322,20 @@ async function switchConfigMode(value) {
   viewer.clearCases();
   parsedCases = [];
   lastWallSections = [];
+  lastWeight = null;
+  lastCog = null;
+  lastSecuring = null;
+  lastVoids = [];
+  lastUnplaced = [];
+  lastFleet = null;
+  fleetIndex = 0;
+  fleetKeys = null;
+  updateFleetList();
+  updateSizingList(null);
+  updateSolverReport(null);
   updateStats();
   updateLegend();
+  updateUnplacedList();
   updateCaseList();
 }
 
@@ -196,11 +344,12 @@ function wireEvents() {
   // Truck size change
   truckSelect.addEventListener('change', () => {
     currentTruckKey = truckSelect.value;
+    fleetKeys = null;
     viewer.clearCases();
     viewer.setTruck(truckConfig.trucks[currentTruckKey]);
     // Re-run solver if we have cases
     if (parsedCases.length > 0) {
-      runSolver();
+      runSolver().catch(reportSolverError);
     } else {
       updateStats();
       updateLegend();
@@ -209,6 +358,51 @@ function wireEvents() {
     console.log(`[TLP] Truck changed to ${currentTruckKey}`);
   });
 
+  // Fleet size / split strategy change
+  const rerunFleet = () => {
+    if (parsedCases.length > 0) runSolver().catch(reportSolverError);
+  };
+  fleetCountInput.addEventListener('change', () => {
+    fleetKeys = null;
+    rerunFleet();
+  });
+  fleetStrategySelect.addEventListener('change', rerunFleet);
+
+  // Tuning preset change: remember it for this project, re-solve
+  tuningSelect.addEventListener('change', () => {
+    saveProjectTuning(tuningSelect.value);
+    console.log(`[TLP] Tuning preset for ${projectKey()}: ${tuningSelect.value}`);
+    if (parsedCases.length > 0) runSolver().catch(reportSolverError);
+  });
+
+  // Display unit change: remembered in this browser; only the readouts change, so
+  // redraw the current truck (or just the stats while editing) without re-solving
+  unitSelect.addEventListener('change', () => {
+    setDisplayUnit(unitSelect.value);
+    localStorage.setItem('tlp-unit', displayUnit);
+    if (lastFleet && !editorMode) showFleetTruck(fleetIndex);
+    else updateStats();
+  });
+
+  // Sheet unit change: rows with a blank unit cell change size, so read the sheet again
+  inputUnitSelect.addEventListener('change', () => {
+    setInputUnit(inputUnitSelect.value);
+    localStorage.setItem('tlp-input-unit', inputUnit);
+    if (parsedCases.length > 0) calculateFromSpreadsheet();
+  });
+
+  // Local search toggle: remembered in this browser, re-solve
+  optimizeToggle.addEventListener('change', () => {
+    localStorage.setItem('tlp-optimize', optimizeToggle.checked);
+    if (parsedCases.length > 0) runSolver().catch(reportSolverError);
+  });
+
+  // Virtual filler blocks in wall voids: remembered in this browser, no re-solve needed
+  fillersToggle.addEventListener('change', () => {
+    localStorage.setItem('tlp-fillers', fillersToggle.checked);
+    if (!editorMode) viewer.showVoids(fillersToggle.checked ? lastVoids : null);
+  });
+
   // Config mode change
   blockSelect.addEventListener('change', async () => {
     await switchConfigMode(blockSelect.value);
@@ -217,6 +411,7 @@ function wireEvents() {
   // Save sheet URL
   sheetUrlInput.addEventListener('change', () => {
     localStorage.setItem('tlp-sheet-url', sheetUrlInput.value);
+    tuningSelect.value = loadProjectTuning();
   });
 
   // Fetch sheet → fills spreadsheet editor (not solver directly)
@@ -229,6 +424,13 @@ function wireEvents() {
 
   // Spreadsheet buttons
   document.getElementById('btn-calculate').addEventListener('click', calculateFromSpreadsheet);
+  document.getElementById('btn-size-fleet').addEventListener('click', sizeFleetFromSpreadsheet);
+  document.getElementById('btn-alternatives').addEventListener('click', compareAlternatives);
+  document.getElementById('btn-close-alternatives').addEventListener('click', () => updateAlternatives(null));
+  document.getElementById('loading-cancel').addEventListener('click', cancelSolver);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && solverAbort) cancelSolver();
+  });
   document.getElementById('btn-import-csv').addEventListener('click', () => {
     document.getElementById('csv-file-input').click();
   });
@@ -243,16 +445,35 @@ function wireEvents() {
 
   // Export buttons
   document.getElementById('btn-export-lisp').addEventListener('click', () => {
-    const truck = truckConfig.trucks[currentTruckKey];
-    exportLISP(viewer.placementData, lastWallSections, truck, autoDepartments);
+    const truck = currentTruck();
+    exportLISP(viewer.placementData, lastWallSections, truck, autoDepartments, displayUnit);
   });
   document.getElementById('btn-export-sketchup').addEventListener('click', () => {
-    const truck = truckConfig.trucks[currentTruckKey];
-    exportSketchUp(viewer.placementData, lastWallSections, truck, autoDepartments);
+    const truck = currentTruck();
+    exportSketchUp(viewer.placementData, lastWallSections, truck, autoDepartments, displayUnit);
+  });
+
+  document.getElementById('btn-export-load-sheet').addEventListener('click', () => {
+    exportLoadSheet(lastWallSections, currentTruck(), lastSecuring, lastVoids, displayUnit);
+  });
+
+  document.getElementById('btn-save-plan').addEventListener('click', () => {
+    exportPlanJSON(lastWallSections.flatMap(w => w.placements || []), lastWallSections, currentTruck());
+  });
+
+  // Partial reload: start from a saved plan (click again to clear it)
+  document.getElementById('btn-preload').addEventListener('click', () => {
+    if (!preloadedPlan) {
+      document.getElementById('plan-file-input').click();
+    } else if (confirm(`Clear the pre-loaded cargo (${preloadedPlan.placements.length} cases from ${preloadedPlan.file})?`)) {
+      setPreloadedPlan(null);
+      sheetStatus.textContent = 'Pre-loaded cargo cleared — Calculate packs an empty truck';
+    }
   });
 
-  // CSV file input handler
+  // CSV / plan file input handlers
   document.getElementById('csv-file-input').addEventListener('change', handleCSVFileSelect);
+  document.getElementById('plan-file-input').addEventListener('change', handlePlanFileSelect);
 
   // Camera buttons
   btnReset.addEventListener('click', () => viewer.resetView());
@@ -271,8 +492,16 @@ function wireEvents() {
   btnEditor.addEventListener('click', toggleEditor);
   document.getElementById('ed-save').addEventListener('click', () => exitEditor(false));
   document.getElementById('ed-cancel').addEventListener('click', () => exitEditor(true));
+  document.getElementById('ed-save-recipes').addEventListener('click', saveWallsAsRecipes);
+  document.getElementById('ed-clear-recipes').addEventListener('click', () => {
+    if (!confirm('Forget all learned wall recipes? config/wall-recipes.json is kept.')) return;
+    clearLearnedRecipes();
+    kbPatterns = configRecipes.slice();
+    sheetStatus.textContent = 'Learned wall recipes cleared';
+  });
   document.getElementById('ed-rotate').addEventListener('click', () => editor.rotate());
   document.getElementById('ed-undo').addEventListener('click', () => editor.undo());
+  document.getElementById('ed-pin').addEventListener('click', () => editor.togglePin());
   document.getElementById('ed-delete').addEventListener('click', () => editor.deleteSelected());
   document.getElementById('ed-lock-x').addEventListener('click', () => toggleAxisLockBtn('x'));
   document.getElementById('ed-lock-y').addEventListener('click', () => toggleAxisLockBtn('y'));
@@ -306,8 +535,12 @@ function wireViewerEvents() {
     tooltip.innerHTML = `
       <div class="tt-name">${data.name}</div>
       <div class="tt-dept" style="background:${viewer.getDeptHex(data.dept)}40;color:${viewer.getDeptHex(data.dept)}">${data.dept} - ${data.subgroup || data.group || ''}</div>
-      <div class="tt-row"><span class="tt-label">Position</span><span>X:${data.x}" Y:${data.y}" Z:${data.z}"</span></div>
-      <div class="tt-row"><span class="tt-label">Size</span><span>${data.width}" x ${data.depth}" x ${data.height}"</span></div>
+      <div class="tt-row"><span class="tt-label">Position</span><span>X:${len(data.x)} Y:${len(data.y)} Z:${len(data.z)}</span></div>
+      <div class="tt-row"><span class="tt-label">Size</span><span>${len(data.width)} x ${len(data.depth)} x ${len(data.height)}</span></div>
+      ${data.tip ? `<div class="tt-row"><span class="tt-label">Laid down</span><span>On its ${data.tip}</span></div>` : ''}
+      ${shapeText(data) ? `<div class="tt-row"><span class="tt-label">Shape</span><span>${shapeText(data)}</span></div>` : ''}
+      ${data.weight ? `<div class="tt-row"><span class="tt-label">Weight</span><span>${data.weight} lb</span></div>` : ''}
+      ${data.stop ? `<div class="tt-row"><span class="tt-label">Stop</span><span>${data.stop}</span></div>` : ''}
     `;
     const rect = canvasWrap.getBoundingClientRect();
     let tx = event.clientX - rect.left + 16;
@@ -324,9 +557,18 @@ function wireViewerEvents() {
       <div class="detail-field"><span class="df-label">Name</span><span class="df-value">${data.name}</span></div>
       <div class="detail-field"><span class="df-label">Dept</span><span class="df-value"><span style="display:inline-block;width:10px;height:10px;border-radius:2px;background:${viewer.getDeptHex(data.dept)};margin-right:4px;vertical-align:middle"></span>${data.dept}</span></div>
       <div class="detail-field"><span class="df-label">Group</span><span class="df-value">${data.subgroup || data.group || ''}</span></div>
-      <div class="detail-field"><span class="df-label">Position</span><span class="df-value">X:${data.x}" Y:${data.y}" Z:${data.z}"</span></div>
-      <div class="detail-field"><span class="df-label">Dimensions</span><span class="df-value">${data.width}" x ${data.depth}" x ${data.height}"</span></div>
+      <div class="detail-field"><span class="df-label">Position</span><span class="df-value">X:${len(data.x)} Y:${len(data.y)} Z:${len(data.z)}</span></div>
+      <div class="detail-field"><span class="df-label">Dimensions</span><span class="df-value">${len(data.width)} x ${len(data.depth)} x ${len(data.height)}</span></div>
       <div class="detail-field"><span class="df-label">Rotation</span><span class="df-value">${data.rotation || 0}&deg;</span></div>
+      ${data.tip ? `<div class="detail-field"><span class="df-label">Laid down</span><span class="df-value">On its ${data.tip}</span></div>` : ''}
+      ${shapeText(data) ? `<div class="detail-field"><span class="df-label">Shape</span><span class="df-value">${shapeText(data)}</span></div>` : ''}
+      <div class="detail-field"><span class="df-label">Weight</span><span class="df-value">${data.weight ? data.weight + ' lb' : '—'}</span></div>
+      ${data.stop ? `<div class="detail-field"><span class="df-label">Stop</span><span class="df-value">${data.stop}</span></div>` : ''}
+      ${loadLimitText(data) ? `<div class="detail-field"><span class="df-label">On top</span><span class="df-value">${loadLimitText(data)}</span></div>` : ''}
+      ${data.pinned ? `<div class="detail-field"><span class="df-label">Pinned</span><span class="df-value">Yes — solved around</span></div>` : ''}
+      ${data.door === 'side' ? `<div class="detail-field"><span class="df-label">Door</span><span class="df-value">Side door</span></div>` : ''}
+      ${data.preloaded ? `<div class="detail-field"><span class="df-label">Pre-loaded</span><span class="df-value">Already in the truck</span></div>` : ''}
+      ${wallOrigin(data) ? `<div class="detail-field"><span class="df-label">Wall</span><span class="df-value">${wallOrigin(data)}</span></div>` : ''}
     `;
     document.querySelectorAll('.case-item').forEach(el => {
       el.classList.toggle('selected', parseInt(el.dataset.index) === index);
@@ -348,7 +590,7 @@ async function fetchSheetToEditor() {
 
   try {
     loadingText.textContent = 'Parsing inventaire...';
-    const cases = await fetchAndParseCases(input, blockConfig);
+    const cases = await fetchAndParseCases(input, blockConfig, 'Inventaire', inputUnit);
 
     console.log(`[TLP] Fetched ${cases.length} cases from sheet`);
 
@@ -370,7 +612,7 @@ async function fetchSheetToEditor() {
 }
 
 // ── Calculate from spreadsheet ──
-function calculateFromSpreadsheet() {
+async function calculateFromSpreadsheet() {
   const cases = spreadsheetEditor.convertToCaseObjects();
 
   if (cases.length === 0) {
@@ -387,18 +629,118 @@ function calculateFromSpreadsheet() {
   populateDeptFilter();
 
   // Run solver
-  loadingOverlay.classList.add('active');
-  loadingText.textContent = 'Placement en cours...';
+  try {
+    if (!await runSolver()) return;
+    const trucks = lastFleet.trucks.length > 1 ? ` on ${lastFleet.trucks.length} trucks` : '';
+    const saved = lastFleet.trucks.reduce((s, t) => s + (t.result.optimization ? t.result.optimization.depth : 0), 0);
+    sheetStatus.textContent = (lastUnplaced.length > 0
+      ? `${cases.length - lastUnplaced.length}/${cases.length} cases placed${trucks} — ${lastUnplaced.length} unplaced`
+      : `${cases.length} cases calculated${trucks}`) + (saved > 0 ? ` — local search saved ${len(saved)}` : '');
+  } catch (err) {
+    reportSolverError(err);
+  }
+}
+
+// ── Fleet sizing from spreadsheet: rank truck combinations ──
+async function sizeFleetFromSpreadsheet() {
+  const cases = spreadsheetEditor.convertToCaseObjects();
+  if (cases.length === 0) {
+    sheetStatus.textContent = 'No valid cases (check sélection and dimensions)';
+    return;
+  }
+  parsedCases = cases;
+  autoDepartments = buildDeptColors(cases);
+  viewer.setDepartments(getActiveDepartments());
+  populateDeptFilter();
 
   try {
-    runSolver();
-    sheetStatus.textContent = `${cases.length} cases calculated`;
+    const sizing = await runSolverWithProgress('Sizing fleet...', 'recommendFleet',
+      [cases, truckConfig.trucks, { deptPriority: buildDeptPriority(cases), kbPatterns, tuning: currentTuning() }]);
+    if (!sizing) return;
+    updateSizingList(sizing);
+    sheetStatus.textContent = sizing.recommended
+      ? `Recommended: ${sizing.recommended.label}`
+      : 'No truck combination fits every case';
   } catch (err) {
-    console.error('[TLP] Solver error:', err);
-    sheetStatus.textContent = 'Error: ' + err.message;
-  } finally {
-    loadingOverlay.classList.remove('active');
+    reportSolverError(err);
+  }
+}
+
+// ── Alternative plans: solve with other variations, compare the best side by side ──
+async function compareAlternatives() {
+  const cases = spreadsheetEditor.convertToCaseObjects();
+  if (cases.length === 0) {
+    sheetStatus.textContent = 'No valid cases (check sélection and dimensions)';
+    return;
+  }
+  parsedCases = cases;
+  autoDepartments = buildDeptColors(cases);
+  viewer.setDepartments(getActiveDepartments());
+  populateDeptFilter();
+
+  try {
+    const alternatives = await runSolverWithProgress('Exploring alternatives...', 'exploreAlternatives', [cases, fleetTrucks(), {
+      strategy: fleetStrategySelect.value,
+      deptPriority: buildDeptPriority(cases),
+      kbPatterns,
+      tuning: currentTuning(),
+      optimize: optimizeToggle.checked,
+      debug: localStorage.getItem('tlp-debug') === 'true',
+      preloaded: preloadedCargo(),
+    }]);
+    if (!alternatives) return;
+    updateAlternatives(alternatives);
+    sheetStatus.textContent = `${alternatives.distinct} distinct plans from ${alternatives.explored} variations`;
+  } catch (err) {
+    reportSolverError(err);
+  }
+}
+
+// ── Apply an alternative plan: show its fleet as the current result ──
+function applyAlternative(plan) {
+  fleetIndex = 0;
+  showFleet(plan.fleet);
+  updateAlternatives(null);
+  sheetStatus.textContent = `Plan ${plan.rank}: ${plan.label} — Calculate re-solves with the standard plan`;
+}
+
+// ── Apply a sizing candidate: solve with exactly those trucks ──
+async function applyFleetCandidate(candidate) {
+  fleetKeys = candidate.keys.slice();
+  fleetStrategySelect.value = 'fill';
+  fleetIndex = 0;
+  try {
+    if (!await runSolver()) return;
+  } catch (err) {
+    reportSolverError(err);
+    return;
   }
+  const trucks = lastFleet.trucks.length > 1 ? ` on ${lastFleet.trucks.length} trucks` : '';
+  sheetStatus.textContent = `${parsedCases.length - lastUnplaced.length}/${parsedCases.length} cases placed${trucks}`;
+}
+
+// ── Plan file import: cargo already in the truck ──
+function handlePlanFileSelect(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      const plan = parsePlanJSON(e.target.result);
+      setPreloadedPlan({ file: file.name, placements: plan.placements });
+      const truck = fleetTrucks()[0];
+      const sameTruck = plan.truck.interiorWidth === truck.interiorWidth &&
+        plan.truck.interiorLength === truck.interiorLength && plan.truck.interiorHeight === truck.interiorHeight;
+      sheetStatus.textContent = `Pre-loaded ${plan.placements.length} cases from ${file.name} — Calculate packs the sheet into the space left` +
+        (sameTruck ? '' : ` (plan was saved for ${plan.truck.label || 'another truck'})`);
+    } catch (err) {
+      console.error('[TLP] Plan import error:', err);
+      sheetStatus.textContent = 'Plan import failed: ' + err.message;
+    }
+  };
+  reader.readAsText(file);
+  event.target.value = '';
 }
 
 // ── CSV import handling ──
@@ -438,39 +780,160 @@ function updateRowCount() {
   if (el) el.textContent = `${spreadsheetEditor.getRowCount()} rows`;
 }
 
+// ── Truck profile shown in the viewer (fleet truck, or the header selection) ──
+function currentTruck() {
+  return lastFleet ? lastFleet.trucks[fleetIndex].truck : truckConfig.trucks[currentTruckKey];
+}
+
 // ── Run solver and display results ──
-function runSolver() {
-  if (parsedCases.length === 0) return;
+// Resolves true once the new result is shown, false when the run was cancelled
+// or superseded by a newer one; rejects on solver errors.
+async function runSolver() {
+  if (parsedCases.length === 0) return false;
 
   const truck = truckConfig.trucks[currentTruckKey];
   const deptPriority = buildDeptPriority(parsedCases);
+  const trucks = fleetTrucks();
 
-  const config = {
-    truckWidth: truck.interiorWidth,
-    truckLength: truck.interiorLength,
-    truckHeight: truck.interiorHeight,
+  console.log(`[TLP] Running WallPlanner solver on ${fleetKeys ? trucks.map(t => t.label).join(' + ') : `${trucks.length} × ${truck.label}`}...`);
+  const fleet = await runSolverWithProgress('Placement en cours...', 'solveFleet', [parsedCases, trucks, {
+    strategy: fleetStrategySelect.value,
     deptPriority,
-    kbPatterns: [],  // No knowledge base in universal mode
+    kbPatterns,
+    tuning: currentTuning(),
+    optimize: optimizeToggle.checked,
+    debug: localStorage.getItem('tlp-debug') === 'true',
+    preloaded: preloadedCargo(),
+  }]);
+  if (!fleet) return false;
+  showFleet(fleet);
+  return true;
+}
+
+// ── Trucks to solve: header count (or applied sizing candidate), grown to cover
+// the highest `camion` number in the sheet with trucks of the header size ──
+function fleetTrucks() {
+  const assignedMax = Math.max(0, ...parsedCases.map(c => parseTruckNumber(c.truck)));
+  const count = Math.max(fleetKeys ? fleetKeys.length : (parseInt(fleetCountInput.value) || 1), assignedMax);
+  fleetCountInput.value = count;
+  return Array.from({ length: count }, (_, i) => truckConfig.trucks[(fleetKeys && fleetKeys[i]) || currentTruckKey]);
+}
+
+// ── Pre-loaded cargo per truck (solveFleet options.preloaded): the saved plan rides in truck 1 ──
+function preloadedCargo() {
+  return preloadedPlan ? [preloadedPlan.placements] : [];
+}
+
+function setPreloadedPlan(plan) {
+  preloadedPlan = plan;
+  const btn = document.getElementById('btn-preload');
+  btn.textContent = plan ? 'Clear Pre-load' : 'Pre-load';
+  btn.classList.toggle('active', !!plan);
+}
+
+// ── Show a solved fleet (solveFleet() output) as the current result ──
+function showFleet(fleet) {
+  lastFleet = fleet;
+  lastUnplaced = lastFleet.unplaced;
+
+  // Enable export buttons now that we have placements
+  document.getElementById('btn-export-lisp').disabled = false;
+  document.getElementById('btn-export-sketchup').disabled = false;
+  document.getElementById('btn-export-load-sheet').disabled = false;
+  document.getElementById('btn-save-plan').disabled = false;
+
+  showFleetTruck(Math.min(fleetIndex, fleet.trucks.length - 1));
+  updateUnplacedList();
+}
+
+// ── Run a solver task off the main thread behind the loading overlay ──
+// A newer run cancels the one in progress. Resolves null when cancelled.
+async function runSolverWithProgress(title, fn, args) {
+  if (solverAbort) solverAbort.abort();
+  const abort = new AbortController();
+  solverAbort = abort;
+
+  loadingOverlay.classList.add('active', 'solving');
+  loadingText.textContent = title;
+  loadingProgressFill.style.width = '0%';
+
+  const onProgress = (p) => {
+    // Overall fraction: candidate (or variant) → truck → phase
+    const runs = p.candidates || p.variants;
+    const outer = runs ? ((p.candidate || p.variant) - 1) / runs : 0;
+    const span = runs ? 1 / runs : 1;
+    const frac = outer + span * ((p.truck - 1) + p.step / p.steps) / p.trucks;
+    loadingProgressFill.style.width = Math.round(frac * 100) + '%';
+    const where = [
+      p.candidates ? `combination ${p.candidate}/${p.candidates}` : '',
+      p.variants ? `variation ${p.variant}/${p.variants}` : '',
+      p.trucks > 1 ? `truck ${p.truck}/${p.trucks}` : '',
+    ].filter(Boolean).join(', ');
+    loadingText.textContent = `${title} ${where ? where + ' — ' : ''}Phase ${p.phase}: ${p.label}`;
   };
 
-  console.log('[TLP] Running WallPlanner solver...', config);
-  const result = wallPlannerSolve(parsedCases, config);
+  try {
+    return await runSolverTask(fn, args, { onProgress, signal: abort.signal });
+  } catch (err) {
+    if (err.name === 'AbortError') return null;
+    throw err;
+  } finally {
+    if (solverAbort === abort) {
+      solverAbort = null;
+      loadingOverlay.classList.remove('active', 'solving');
+    }
+  }
+}
+
+// ── Cancel the solver run in progress (the previous result stays on screen) ──
+function cancelSolver() {
+  if (!solverAbort) return;
+  solverAbort.abort();
+  sheetStatus.textContent = 'Calculation cancelled';
+}
+
+function reportSolverError(err) {
+  console.error('[TLP] Solver error:', err);
+  sheetStatus.textContent = 'Error: ' + err.message;
+}
 
-  console.log(`[TLP] Solver done: ${result.placements.length} placed, ${result.wallSections.length} walls`);
+// ── Show one truck of the fleet in the viewer ──
+function showFleetTruck(index) {
+  if (!lastFleet) return;
+  if (editorMode) exitEditor(true);
+  fleetIndex = index;
+  const { truck, result } = lastFleet.trucks[index];
+
+  console.log(`[TLP] Truck ${index + 1}: ${result.placements.length} placed, ${result.wallSections.length} walls`);
   lastWallSections = result.wallSections;
+  lastWeight = result.weight;
+  lastCog = result.cog;
+  lastSecuring = result.securing || null;
+  lastVoids = result.voids || [];
 
   // Load placements into 3D viewer
+  viewer.setTruck(truck);
   viewer.loadData(result.placements);
   viewer.showWallSections(result.wallSections);
-
-  // Enable export buttons now that we have placements
-  document.getElementById('btn-export-lisp').disabled = false;
-  document.getElementById('btn-export-sketchup').disabled = false;
+  viewer.showCenterOfGravity(lastCog);
+  viewer.showSecuring(lastSecuring);
+  viewer.showVoids(fillersToggle.checked ? lastVoids : null);
 
   // Update all UI
   updateStats();
   updateLegend();
   updateCaseList();
+  updateFleetList();
+  updateSolverReport(result.trace);
+
+  // Floor depth gained by mixed stacking (solver Phase 3E) and local search (Phase 3F)
+  const gain = result.stacking;
+  const opt = result.optimization;
+  statDepth.title = [
+    gain && gain.depth > 0 ? `Mixed stacking: ${gain.cases} cases stacked on other columns, ${len(gain.depth)} of floor gained` : '',
+    opt && opt.depth > 0 ? `Local search: ${len(opt.depth)} of floor saved (${opt.walls} walls emptied)` : '',
+    opt && opt.capped ? `Local search stopped by its time cap after ${opt.iterations} iterations — plan may vary between runs` : '',
+  ].filter(Boolean).join('\n');
 }
 
 // ── Update stats bar ──
@@ -479,11 +942,66 @@ function updateStats() {
   const caseCount = stats.caseCount || parsedCases.length;
   statCases.textContent = caseCount;
   statWalls.textContent = lastWallSections.length;
-  statDepth.textContent = `${stats.maxDepth}" / ${stats.truckDepth}"`;
+  statDepth.textContent = `${len(stats.maxDepth, 0)} / ${len(stats.truckDepth, 0)}`;
   statBarFill.style.width = stats.depthPct + '%';
   statBarFill.style.background = stats.depthPct > 90 ? '#e94560' : stats.depthPct > 70 ? '#f0a030' : '#4CAF50';
   statFill.textContent = stats.depthPct + '%';
   statVolume.textContent = stats.volumePct + '%';
+  updateWeightStat();
+  updateCogStat();
+  updateSecuringStat();
+}
+
+// ── Update center-of-gravity stat (depth from cab + lateral offset) ──
+function updateCogStat() {
+  if (!lastCog) {
+    statCog.textContent = '—';
+    statCog.style.color = '';
+    statCog.title = 'Center of gravity needs case weights';
+    return;
+  }
+  const side = lastCog.lateralOffset >= 0 ? 'R' : 'L';
+  const offset = Math.abs(lastCog.lateralOffset);
+  statCog.textContent = `Y ${len(lastCog.y, 0)} · ${offset < 0.5 ? 'centered' : `${len(offset)} ${side}`}`;
+  // More than 10% of half-width off center is worth a warning
+  statCog.style.color = Math.abs(lastCog.lateralPct) > 10 ? '#f0a030' : '';
+  statCog.title = `X ${len(lastCog.x)} (${lastCog.lateralPct.toFixed(1)}% off center)\n` +
+    `Y ${len(lastCog.y)} (${lastCog.longitudinalPct.toFixed(1)}% of length from cab)\n` +
+    `Z ${len(lastCog.z)} above floor`;
+}
+
+// ── Update securing stat (bar, strap and void counts, one line each in tooltip) ──
+function updateSecuringStat() {
+  if (!lastSecuring || !lastSecuring.items.length) {
+    statSecuring.textContent = '—';
+    statSecuring.title = 'Load bars, straps and void fill of the securing plan';
+    return;
+  }
+  statSecuring.textContent = `${lastSecuring.bars} bars · ${lastSecuring.straps} straps` +
+    (lastVoids.length ? ` · ${lastVoids.length} voids` : '');
+  statSecuring.title = lastSecuring.items
+    .map(it => `${it.type === 'bar' ? 'Load bar' : 'Strap'} at ${len(it.y, 0)}${it.axis === 'y' ? ` (along, ${len(it.length, 0)})` : ''}, ${len(it.z, 0)} high — ${it.label}`)
+    .concat(lastVoids.map(v => `Void at ${len(v.y, 0)}: ${len(v.width, 0)} wide, ${len(v.height, 0)} high — ${v.fill} (wall ${v.label})`))
+    .join('\n');
+}
+
+// ── Update weight stat (total vs payload, per-axle breakdown in tooltip) ──
+function updateWeightStat() {
+  if (!lastWeight || lastWeight.total <= 0) {
+    statWeight.textContent = '—';
+    statWeight.style.color = '';
+    statWeight.title = 'Add a poids/weight column to check payload and axle loads';
+    return;
+  }
+  const over = (lastWeight.maxPayload > 0 && lastWeight.total > lastWeight.maxPayload) ||
+    lastWeight.axles.some(a => a.maxLoad > 0 && a.load > a.maxLoad);
+  statWeight.textContent = lastWeight.maxPayload > 0
+    ? `${Math.round(lastWeight.total)} / ${lastWeight.maxPayload} lb`
+    : `${Math.round(lastWeight.total)} lb`;
+  statWeight.style.color = over ? '#e94560' : '';
+  statWeight.title = lastWeight.axles
+    .map(a => `${a.label}: ${Math.round(a.load)} lb${a.maxLoad ? ` / ${a.maxLoad} lb` : ''}`)
+    .join('\n');
 }
 
 // ── Get active case data (placed cases if available, else parsed cases) ──
@@ -553,6 +1071,198 @@ function updateCaseList() {
   });
 }
 
+// ── Update fleet list (one row per truck, hidden for a single truck) ──
+function updateFleetList() {
+  fleetList.innerHTML = '';
+  const trucks = lastFleet ? lastFleet.trucks : [];
+  fleetSection.style.display = trucks.length > 1 ? '' : 'none';
+
+  trucks.forEach((t, i) => {
+    const { result } = t;
+    const depth = result.wallSections.reduce((m, w) => Math.max(m, w.yEnd), 0);
+    const depthPct = Math.round((depth / t.truck.interiorLength) * 100);
+    const weight = result.weight && result.weight.total > 0 ? ` · ${Math.round(result.weight.total)} lb` : '';
+    const el = document.createElement('div');
+    el.className = 'fleet-item' + (i === fleetIndex ? ' selected' : '');
+    el.innerHTML = `
+      <span class="case-name">Truck ${t.label}</span>
+      <span class="case-dims">${result.placements.length} cases · ${depthPct}%${weight}</span>
+    `;
+    el.title = `${result.wallSections.length} walls, ${len(depth)} / ${len(t.truck.interiorLength)} deep`;
+    el.addEventListener('click', () => showFleetTruck(i));
+    fleetList.appendChild(el);
+  });
+}
+
+// ── Update fleet sizing list (candidates best first, click to apply) ──
+function updateSizingList(sizing) {
+  sizingList.innerHTML = '';
+  sizingSection.style.display = sizing ? '' : 'none';
+  if (!sizing) return;
+
+  for (const c of sizing.candidates) {
+    const status = c.fits ? 'fits'
+      : c.skipped || (c.overweight ? 'over payload or axle limit' : `${c.unplaced} unplaced`);
+    const el = document.createElement('div');
+    el.className = 'sizing-item' + (c === sizing.recommended ? ' recommended' : '') + (c.fits ? '' : ' no-fit');
+    el.innerHTML = `
+      <div class="sizing-head">
+        <span class="case-name">${c.label}</span>
+        <span class="case-dims">${c.cost} · ${status}</span>
+      </div>
+      ${c.trucks.map(t => `<div class="sizing-truck">${t.label}: ${t.cases} cases · depth ${t.depthPct}% · fill ${t.fillPct}%</div>`).join('')}
+    `;
+    el.title = 'Click to load with this fleet';
+    el.addEventListener('click', () => applyFleetCandidate(c));
+    sizingList.appendChild(el);
+  }
+}
+
+// ── Update alternative plans comparison (best first, side by side) ──
+function updateAlternatives(alternatives) {
+  alternativesGrid.innerHTML = '';
+  alternativesPanel.classList.toggle('active', !!alternatives);
+  if (!alternatives) return;
+
+  const { plans } = alternatives;
+  alternativesSummary.textContent = `Top ${plans.length} of ${alternatives.distinct} distinct plans (${alternatives.explored} variations)`;
+  // Best value of each metric is highlighted across the plans
+  const rows = [
+    ['Depth used', 'depth', m => `${len(m.depth)} (${m.depthPct}%)`, -1],
+    ['Fill', 'fillPct', m => `${m.fillPct}%`, 1],
+    ['Stability', 'stability', m => `${m.stability}/100`, 1],
+    ['Mixed walls', 'mixedWalls', m => m.mixedWalls, -1],
+    ['Unplaced', 'unplaced', m => m.unplaced, -1],
+  ];
+  const best = {};
+  for (const [, key, , dir] of rows) {
+    best[key] = dir > 0 ? Math.max(...plans.map(p => p.metrics[key])) : Math.min(...plans.map(p => p.metrics[key]));
+  }
+
+  for (const plan of plans) {
+    const el = document.createElement('div');
+    el.className = 'alt-plan' + (plan.rank === 1 ? ' best' : '');
+    el.innerHTML = `
+      <div class="alt-title">Plan ${plan.rank}</div>
+      <div style="color:var(--text-dim)">${plan.label}</div>
+      <table class="alt-metrics">
+        ${rows.map(([label, key, fmt]) => `<tr><td>${label}</td><td class="${plans.length > 1 && plan.metrics[key] === best[key] ? 'alt-top' : ''}">${fmt(plan.metrics)}</td></tr>`).join('')}
+      </table>
+      <div class="alt-views">${plan.fleet.trucks.map(t => planTopView(t)).join('')}</div>
+    `;
+    const btn = document.createElement('button');
+    btn.textContent = 'Use this plan';
+    btn.addEventListener('click', () => applyAlternative(plan));
+    el.appendChild(btn);
+    alternativesGrid.appendChild(el);
+  }
+}
+
+// Top-down sketch of one truck of a plan (cab at the top), cases in department colors
+function planTopView({ truck, result }) {
+  const depts = getActiveDepartments();
+  const rects = result.placements
+    .slice()
+    .sort((a, b) => a.z - b.z)
+    .map(p => `<rect x="${p.x}" y="${p.y}" width="${p.width}" height="${p.depth}" fill="${(depts[p.dept] || {}).color || '#78909C'}" stroke="#16213e" stroke-width="0.8"><title>${p.name}</title></rect>`)
+    .join('');
+  const blocked = (truck.obstructions || [])
+    .map(o => `<rect x="${o.x}" y="${o.y}" width="${o.width}" height="${o.depth}" fill="#5a6270" opacity="0.6"><title>${o.label || 'Obstruction'}</title></rect>`)
+    .join('');
+  return `<svg viewBox="0 0 ${truck.interiorWidth} ${truck.interiorLength}" preserveAspectRatio="xMidYMin meet"
+    style="aspect-ratio:${truck.interiorWidth}/${truck.interiorLength}">${blocked}${rects}</svg>`;
+}
+
+// ── Update unplaced list (cases the solver left off the truck) ──
+function updateUnplacedList() {
+  unplacedList.innerHTML = '';
+  unplacedCount.textContent = lastUnplaced.length;
+  unplacedSection.style.display = lastUnplaced.length > 0 ? '' : 'none';
+
+  for (const u of lastUnplaced) {
+    const c = u.case;
+    const name = c.name || c.nom;
+    const el = document.createElement('div');
+    el.className = 'unplaced-item';
+    el.innerHTML = `
+      <span class="case-name" title="${name}">${name}</span>
+      <span class="unplaced-reason">${c.width}x${c.depth}x${c.height} — ${u.truckIndex && lastFleet.trucks.length > 1 ? `truck ${u.truckIndex}: ` : ''}${u.message}</span>
+    `;
+    unplacedList.appendChild(el);
+  }
+}
+
+// ── Update solver report (trace of the truck shown) ──
+function updateSolverReport(trace) {
+  reportList.innerHTML = '';
+  const phases = trace ? trace.phases : [];
+  reportSection.style.display = phases.length ? '' : 'none';
+
+  const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  if (trace && trace.tuning) {
+    const t = trace.tuning;
+    const preset = WP_TUNING_PRESETS[tuningSelect.value];
+    const lines = [
+      `Fill ${Math.round(t.minFill * 100)}% minimum, ${Math.round(t.gapThresh * 100)}% gap closing`,
+      `Depth ±${len(t.depthStrict)} strict, ±${len(t.depthRelaxed)} relaxed, ${len(t.flatFace)} flat face`,
+      `Stage height ±${len(t.stageHeightTol)}, load bar gap ${len(t.loadBarGap)}`,
+      t.strapSpacing ? `A bar or strap every ${len(t.strapSpacing)}` : 'A bar or strap at every wall face',
+      ...(trace.tuningErrors || []).map(e => `<b>Adjusted:</b> ${esc(e)}`),
+    ];
+    const el = document.createElement('details');
+    el.className = 'report-phase';
+    el.innerHTML = `
+      <summary>Tuning · ${esc(preset ? preset.label : 'Custom')}</summary>
+      <ul>${lines.map(l => `<li>${l}</li>`).join('')}</ul>
+    `;
+    reportList.appendChild(el);
+  }
+  for (const p of phases) {
+    const lines = [
+      ...p.walls.map(w => `<b>Wall ${esc(w.label)}</b> — ${esc(w.reason)} (${w.cases} cases, ${w.fillPct}% fill, ${len(w.depth)} deep)`),
+      ...p.merges.map(m => `<b>${esc(m.from.join(' + '))} → ${esc(m.into)}</b> — ${esc(m.reason)} (${m.fillPct}% fill)`),
+      ...p.rotations.map(r => `<b>Rotated ${esc(r.group)}</b> ${r.from} → ${r.to} — ${esc(r.reason)}`),
+      ...p.notes.map(n => esc(n)),
+    ];
+    const counts = [
+      p.walls.length ? `${p.walls.length} walls` : '',
+      p.merges.length ? `${p.merges.length} merges` : '',
+      p.rotations.length ? `${p.rotations.length} rotations` : '',
+    ].filter(Boolean).join(', ');
+    const el = document.createElement('details');
+    el.className = 'report-phase';
+    el.innerHTML = `
+      <summary>Phase ${p.phase} · ${p.label}${counts ? `<span class="report-count">${counts}</span>` : ''}</summary>
+      <ul>${lines.length ? lines.map(l => `<li>${l}</li>`).join('') : '<li>Nothing to do</li>'}</ul>
+    `;
+    reportList.appendChild(el);
+  }
+}
+
+// Phase + reason that built a placement's wall (solver wallSections origin)
+function wallOrigin(data) {
+  const ws = lastWallSections.find(w => w.id === data._wallId);
+  return ws && ws.origin ? ws.origin : '';
+}
+
+// What may be stacked on a case: "Nothing — fragile", "Up to 200 lb",
+// "Only its own group — round top" (lying cylinder), '' (no limit)
+function loadLimitText(data) {
+  if (data.fragile) return 'Nothing — fragile';
+  if (data.topOnly) return 'Nothing — top only';
+  if (data.canBearLoad === false) return "Nothing — can't bear load";
+  const limit = typeof data.maxLoadOnTop === 'number' ? `Up to ${data.maxLoadOnTop} lb` : '';
+  if (data.shape === 'cylinder-lying') return `Only its own group${limit ? ', ' + limit.toLowerCase() : ''} — round top`;
+  return limit;
+}
+
+// Round cases: "Cylinder (standing)", "Cylinder (lying)"; '' for a box
+function shapeText(data) {
+  if (data.shape === 'cylinder-standing') return 'Cylinder (standing)';
+  if (data.shape === 'cylinder-lying') return 'Cylinder (lying)';
+  return '';
+}
+
 // ── Editor functions ──
 function toggleEditor() {
   if (editorMode) {
@@ -572,6 +1282,8 @@ function enterEditor() {
   if (!ok) return;
   editorMode = true;
   viewer.editorActive = true;
+  viewer.clearSecuring(); // stale once cases move; recomputed on exit
+  viewer.clearVoids();
   btnEditor.classList.add('editor-active');
   btnEditor.textContent = 'Editing...';
   document.getElementById('editor-panel').style.display = '';
@@ -581,6 +1293,7 @@ function enterEditor() {
 
 function exitEditor(cancel) {
   if (!editorMode) return;
+  const wasPinned = new Set(lastWallSections.flatMap(w => w.placements || []).filter(p => p.pinned).map(p => p.name));
   const newWallSections = editor.exit(cancel);
   editorMode = false;
   viewer.editorActive = false;
@@ -597,7 +1310,24 @@ function exitEditor(cancel) {
     const allPlacements = newWallSections.flatMap(w => w.placements || []);
     viewer.loadData(allPlacements);
     viewer.showWallSections(newWallSections);
+    const truckCfg = truckSolverConfig(currentTruck());
+    lastWeight = computeLoadWeight(allPlacements, truckCfg);
+    lastCog = computeCenterOfGravity(allPlacements, truckCfg);
+    const { tuning } = resolveTuning(currentTuning());
+    lastSecuring = computeSecuringPlan(newWallSections, truckCfg, tuning);
+    lastVoids = computeVoids(newWallSections, truckCfg, tuning);
+    if (lastFleet) {
+      Object.assign(lastFleet.trucks[fleetIndex].result, {
+        placements: allPlacements, wallSections: newWallSections, weight: lastWeight, cog: lastCog,
+        securing: lastSecuring, voids: lastVoids,
+      });
+      updateFleetList();
+    }
+    if (!cancel) savePinsToSheet(allPlacements, wasPinned);
   }
+  viewer.showCenterOfGravity(lastCog);
+  viewer.showSecuring(lastSecuring);
+  viewer.showVoids(fillersToggle.checked ? lastVoids : null);
 
   // Re-wire viewer events
   wireViewerEvents();
@@ -606,11 +1336,42 @@ function exitEditor(cancel) {
   updateCaseList();
 }
 
+// ── Write pinned cases (and cases unpinned in the editor) back to the sheet ──
+function savePinsToSheet(placements, wasPinned) {
+  const pins = placements.filter(p => p.pinned).map(p => ({
+    name: p.name,
+    pin: { x: Math.round(p.x * 10) / 10, y: Math.round(p.y * 10) / 10, z: Math.round(p.z * 10) / 10 },
+    width: p.width,
+    depth: p.depth,
+  }));
+  const pinnedNow = new Set(pins.map(p => p.name));
+  for (const name of wasPinned) {
+    if (!pinnedNow.has(name)) pins.push({ name, pin: null });
+  }
+  if (pins.length === 0) return;
+  const changed = spreadsheetEditor.setPins(pins);
+  sheetStatus.textContent = `${pinnedNow.size} pinned case${pinnedNow.size === 1 ? '' : 's'} saved to the sheet` +
+    (changed < pins.length ? ` (${pins.length - changed} not found)` : '');
+}
+
+// ── Save the edited layout, then learn its walls as recipes for future runs ──
+function saveWallsAsRecipes() {
+  exitEditor(false);
+  const recipes = extractRecipes(lastWallSections);
+  if (recipes.length === 0) {
+    sheetStatus.textContent = 'No wall qualifies as a recipe (needs 2+ columns, one group per column)';
+    return;
+  }
+  const { added, total } = saveLearnedRecipes(recipes);
+  kbPatterns = mergeRecipes(configRecipes, loadLearnedRecipes());
+  sheetStatus.textContent = `${added} new wall recipe${added === 1 ? '' : 's'} learned (${total} learned total)`;
+}
+
 function updateEditorUI() {
   const info = editor.getInfo();
   const infoEl = document.getElementById('ed-info');
   infoEl.innerHTML = `<span style="font-weight:600">${info.totalCases}</span> cases | ` +
-    `Depth: <span style="font-weight:600">${info.maxDepth}" / ${info.truckDepth}"</span> (${info.usagePct}%) | ` +
+    `Depth: <span style="font-weight:600">${len(info.maxDepth, 0)} / ${len(info.truckDepth, 0)}</span> (${info.usagePct}%) | ` +
     `Undo: ${info.undoSteps}`;
   // Update axis lock buttons
   document.getElementById('ed-lock-x').classList.toggle('active', editor.axisLock === 'x');
@@ -636,9 +1397,9 @@ function updateEditorSelection(selectedData, selectionSize) {
   } else if (selectedData) {
     panel.innerHTML = `
       <span style="font-weight:600">${selectedData.name || selectedData.group || 'Case'}</span>
-      <div style="font-size:10px">Dims: ${selectedData.width}" x ${selectedData.depth}" x ${selectedData.height}" (rot: ${selectedData.rotation || 0}°)</div>
-      <div style="font-size:10px">Pos: X:${Math.round(selectedData.x)}" Y:${Math.round(selectedData.y)}" Z:${Math.round(selectedData.z)}"</div>
-      <div style="font-size:10px;color:var(--text-dim);margin-top:4px">[R] rotate | [Ctrl+Z] undo | [Shift+click] multi | [X]/[Y]/[Z] lock axis</div>
+      <div style="font-size:10px">Dims: ${len(selectedData.width)} x ${len(selectedData.depth)} x ${len(selectedData.height)} (rot: ${selectedData.rotation || 0}°)</div>
+      <div style="font-size:10px">Pos: X:${len(selectedData.x, 0)} Y:${len(selectedData.y, 0)} Z:${len(selectedData.z, 0)}${selectedData.pinned ? ' · <span style="color:#00BFFF">pinned</span>' : ''}</div>
+      <div style="font-size:10px;color:var(--text-dim);margin-top:4px">[R] rotate | [P] pin | [Ctrl+Z] undo | [Shift+click] multi | [X]/[Y]/[Z] lock axis</div>
     `;
   }
 }
@@ -1,13 +1,20 @@
 // config-loader.js — Load truck and block configuration from JSON files
 
+import { truckInInches } from './units.js';
+
 /**
- * Load trucks.json and return the parsed config.
+ * Load trucks.json and return the parsed config. Profiles declared in another
+ * `unit` (cm, mm...) come back converted to inches.
  * @returns {Promise<{trucks: Object, default: string}>}
  */
 export async function loadTruckConfig() {
   const resp = await fetch('config/trucks.json');
   if (!resp.ok) throw new Error(`Failed to load trucks.json: ${resp.status}`);
-  return resp.json();
+  const config = await resp.json();
+  for (const [key, profile] of Object.entries(config.trucks || {})) {
+    config.trucks[key] = truckInInches(profile);
+  }
+  return config;
 }
 
 /**
@@ -21,6 +28,23 @@ export async function loadBlockConfig(filename) {
   return resp.json();
 }
 
+/**
+ * Load the wall recipe knowledge base (config/wall-recipes.json).
+ * A missing or unreadable file just means no recipes.
+ * @returns {Promise<Object[]>} — [{ id, label, columns: [{ group, w, d, h, stack, x }] }]
+ */
+export async function loadRecipeConfig() {
+  try {
+    const resp = await fetch('config/wall-recipes.json');
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const json = await resp.json();
+    return json.recipes || [];
+  } catch (err) {
+    console.warn('[Config] No wall recipes loaded:', err.message);
+    return [];
+  }
+}
+
 /**
  * Scan config/ folder for available block config files.
  * Since we can't list directory contents via fetch, we maintain a manifest.
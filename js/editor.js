@@ -3,8 +3,11 @@
 // Adapted for ES module + TruckViewer class integration
 
 import * as THREE from 'three';
+import { caseLoadLimit, caseHasFlatTop } from './solver.js';
+import { caseGeometry } from './viewer3d.js';
 
 const ED_SNAP_THRESHOLD = 5;
+const ED_PIN_COLOR = 0x00BFFF; // wireframe of pinned cases
 
 /**
  * TruckEditor — manages interactive case repositioning in the 3D truck.
@@ -182,6 +185,27 @@ export class TruckEditor {
     this._notifySelection();
   }
 
+  // ── Public: pin / unpin selected ──
+  // Pinned cases keep their position on the next solver run (see case.pin);
+  // pins are read from the placements (`pinned`) when the editor saves.
+  togglePin() {
+    const targets = this.selection.size > 0
+      ? [...this.selection]
+      : (this.selected ? [this.selected] : []);
+    if (!targets.length) return;
+    this._pushUndo();
+    const pin = !targets.every(m => m.userData.data.pinned);
+    for (const m of targets) {
+      m.userData.data.pinned = pin;
+      const idx = this.meshes.indexOf(m);
+      if (idx >= 0) this.placements[idx].pinned = pin;
+      this._highlightMesh(m, this.selection.has(m));
+    }
+    this._notifyUpdate();
+    this._notifySelection();
+    console.log(`[Editor] ${pin ? 'Pinned' : 'Unpinned'} ${targets.length} cases`);
+  }
+
   // ── Public: undo ──
   undo() {
     if (this.undoStack.length <= 1) return;
@@ -246,7 +270,7 @@ export class TruckEditor {
 
   _createEditorMesh(placement) {
     const color = this._getDeptColor(placement.dept);
-    const geo = new THREE.BoxGeometry(placement.width, placement.height, placement.depth);
+    const geo = caseGeometry(placement);
     const mat = new THREE.MeshPhongMaterial({
       color, transparent: true, opacity: 0.85, shininess: 40,
     });
@@ -262,9 +286,9 @@ export class TruckEditor {
       originalOpacity: 0.85,
     };
 
-    const wireGeo = new THREE.EdgesGeometry(geo);
+    const wireGeo = new THREE.EdgesGeometry(geo, 20);
     const wireMat = new THREE.LineBasicMaterial({
-      color: 0xffffff, transparent: true, opacity: 0.4,
+      color: placement.pinned ? ED_PIN_COLOR : 0xffffff, transparent: true, opacity: placement.pinned ? 0.8 : 0.4,
     });
     const wireframe = new THREE.LineSegments(wireGeo, wireMat);
     wireframe.position.copy(mesh.position);
@@ -362,9 +386,9 @@ export class TruckEditor {
     oldWire.geometry.dispose();
     oldWire.material.dispose();
     mesh.geometry.dispose();
-    mesh.geometry = new THREE.BoxGeometry(d.width, d.height, d.depth);
+    mesh.geometry = caseGeometry(d);
     mesh.position.set(d.x + d.width / 2, d.z + d.height / 2, d.y + d.depth / 2);
-    const wireGeo = new THREE.EdgesGeometry(mesh.geometry);
+    const wireGeo = new THREE.EdgesGeometry(mesh.geometry, 20);
     const isSelected = this.selection.has(mesh);
     const wireMat = new THREE.LineBasicMaterial({
       color: isSelected ? 0xFFD700 : 0xffffff,
@@ -385,8 +409,9 @@ export class TruckEditor {
   _highlightMesh(mesh, selected) {
     const wire = mesh.userData.wireframe;
     if (wire) {
-      wire.material.color.setHex(selected ? 0xFFD700 : 0xffffff);
-      wire.material.opacity = selected ? 0.8 : 0.4;
+      const pinned = mesh.userData.data.pinned;
+      wire.material.color.setHex(selected ? 0xFFD700 : (pinned ? ED_PIN_COLOR : 0xffffff));
+      wire.material.opacity = selected || pinned ? 0.8 : 0.4;
     }
     mesh.material.emissive.setHex(selected ? 0x222200 : 0x000000);
   }
@@ -441,7 +466,41 @@ export class TruckEditor {
       const overlapZ = d.z < od.z + od.height && d.z + d.height > od.z;
       if (overlapX && overlapY && overlapZ) return true;
     }
-    return false;
+    return this._hitsObstruction(d.x, d.y, d.z, d.width, d.depth, d.height, 0);
+  }
+
+  // Truck obstructions (wheel wells, ...) overlapping a box, within tolerance
+  _hitsObstruction(x, y, z, w, d, h, tol) {
+    return (this.viewer.truck.obstructions || []).some(o => {
+      const oz = o.z || 0;
+      return x + tol < o.x + o.width && x + w - tol > o.x &&
+        y + tol < o.y + o.depth && y + d - tol > o.y &&
+        z + tol < oz + o.height && z + h - tol > oz;
+    });
+  }
+
+  // Can `od` and every case under it take `d` on top? (fragile, top_only, max_load_on_top;
+  // a lying cylinder only takes its own subgroup). Weight already stacked above a case
+  // counts toward its limit; moving meshes are ignored.
+  _canCarry(od, d, draggedMesh) {
+    if (!caseHasFlatTop(od) && od.subgroup !== d.subgroup) return false;
+    const others = this.meshes
+      .filter(m => m !== draggedMesh && !this.selection.has(m))
+      .map(m => m.userData.data);
+    const overlaps = (a, b) =>
+      Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x) > 0.5 &&
+      Math.min(a.y + a.depth, b.y + b.depth) - Math.max(a.y, b.y) > 0.5;
+    const onTop = a => others.filter(b => b !== a && Math.abs(b.z - (a.z + a.height)) <= 0.5 && overlaps(a, b));
+    const under = a => others.filter(b => b !== a && Math.abs(a.z - (b.z + b.height)) <= 0.5 && overlaps(a, b));
+    const loadOn = a => onTop(a).reduce((s, b) => s + (b.weight || 0) + loadOn(b), 0);
+    const extra = d.weight || 0;
+    const carries = a => {
+      const limit = caseLoadLimit(a);
+      if (limit === 0) return false;
+      if (isFinite(limit) && loadOn(a) + extra > limit + 0.5) return false;
+      return under(a).every(carries);
+    };
+    return carries(od);
   }
 
   // ════════════════════════════════════════════════════
@@ -508,7 +567,7 @@ export class TruckEditor {
       const yOverlapS = Math.min(rawY + d.depth, od.y + od.depth) - Math.max(rawY, od.y);
       if (xOverlapS > 2 && yOverlapS > 2) {
         // Use case data directly (universal mode — dims on the case object)
-        if (od.stackable && (od.maxStack || od.max_stack || 1) >= 2) {
+        if (od.stackable && (od.maxStack || od.max_stack || 1) >= 2 && this._canCarry(od, d, draggedMesh)) {
           const stackZ = od.z + od.height;
           if (stackZ + d.height <= TH) {
             zCandidates.push({ val: stackZ, label: 'on ' + oName });
@@ -564,7 +623,7 @@ export class TruckEditor {
           return true;
         }
       }
-      return false;
+      return self._hitsObstruction(tx, ty, tz, d.width, d.depth, d.height, TOL);
     }
 
     if (hasCollisionAt(snapX, snapY, snapZ)) {
@@ -891,6 +950,9 @@ export class TruckEditor {
       event.preventDefault();
     } else if (event.key === 'Escape') {
       this._deselectAll();
+    } else if ((event.key === 'p' || event.key === 'P') && !event.ctrlKey && !event.metaKey) {
+      this.togglePin();
+      event.preventDefault();
     } else if (event.key === 'Delete' || event.key === 'Backspace') {
       this.deleteSelected();
       event.preventDefault();
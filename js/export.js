@@ -1,7 +1,26 @@
-// export.js — AutoCAD LISP and SketchUp Ruby export generators
+// export.js — AutoCAD LISP and SketchUp Ruby export generators, load sheets, plan files
 //
-// Both exports read from the same placements data that the 3D viewer uses.
-// Units: inches throughout (matching the solver output).
+// The exports read from the same placements data that the 3D viewer uses.
+// A load sheet (.csv) lists the truck wall by wall in loading order, with a
+// line per load bar and strap of the securing plan and per void to fill.
+// A plan file (.json) saves a solved truck so it can be loaded back as
+// pre-loaded cargo for a partial reload (see wallPlannerSolve config.preloaded).
+// Units: placements are in inches (matching the solver output); the LISP and
+// SketchUp exports draw and load sheets measure in the unit passed to them,
+// plan files stay in inches.
+
+import { LENGTH_UNITS, fromInches, toInches, parseUnit } from './units.js';
+import { caseCylinder } from './solver.js';
+
+// Drawing unit settings per length unit: AutoCAD INSUNITS, SketchUp LengthUnit
+// option and the Ruby Numeric method that converts a literal to SketchUp's inches
+const EXPORT_UNITS = {
+  in: { insunits: 1, sketchup: 0, ruby: 'inch' },
+  ft: { insunits: 2, sketchup: 1, ruby: 'feet' },
+  mm: { insunits: 4, sketchup: 2, ruby: 'mm' },
+  cm: { insunits: 5, sketchup: 3, ruby: 'cm' },
+  m:  { insunits: 6, sketchup: 4, ruby: 'm' },
+};
 
 /**
  * AutoCAD color index mapping by department.
@@ -22,6 +41,14 @@ const ACAD_DEPT_COLORS = {
 // Fallback ACI palette for unknown departments in AutoCAD export
 const FALLBACK_ACAD = [4, 40, 34, 82, 14, 94, 54, 142];
 
+/**
+ * Label suffix for a case that isn't as drawn in the sheet: " (on its width, turned 90)".
+ */
+function orientationNote(p) {
+  const parts = [p.tip ? `on its ${p.tip}` : '', p.rotation ? `turned ${p.rotation}` : ''].filter(Boolean);
+  return parts.length ? ` (${parts.join(', ')})` : '';
+}
+
 /**
  * Sanitize a string for use in AutoCAD LISP (escape backslashes and quotes).
  */
@@ -29,6 +56,13 @@ function lispSafeStr(s) {
   return String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
 }
 
+/**
+ * A length in inches, converted to the drawing unit (4 decimals at most).
+ */
+function inUnit(inches, unit) {
+  return Math.round(fromInches(inches, unit) * 10000) / 10000;
+}
+
 /**
  * Format a number with dot decimal separator (AutoCAD FRENCH locale workaround).
  * Never use (rtos) — it produces commas in French locale.
@@ -48,23 +82,27 @@ function lispNum(n) {
  * @param {Object[]} wallSections — solver wallSections array
  * @param {Object} truck — truck dimensions { interiorWidth, interiorLength, interiorHeight }
  * @param {Object} deptColors — { dept: { label, color } } from buildDeptColors
+ * @param {string} [unit='in'] — drawing unit (see units.js); sets INSUNITS
  * @returns {string} LISP file content
  */
-export function generateLISP(placements, wallSections, truck, deptColors) {
-  const W = truck.interiorWidth;
-  const L = truck.interiorLength;
-  const H = truck.interiorHeight;
+export function generateLISP(placements, wallSections, truck, deptColors, unit = 'in') {
+  unit = EXPORT_UNITS[unit] ? unit : 'in';
+  const u = v => inUnit(v, unit);
+  const W = u(truck.interiorWidth);
+  const L = u(truck.interiorLength);
+  const H = u(truck.interiorHeight);
   const lines = [];
 
   lines.push('; ── Truck Load Planner — AutoCAD LISP Export ──');
   lines.push('; Generated: ' + new Date().toISOString());
-  lines.push(`; Truck: ${W}" × ${L}" × ${H}"`);
+  lines.push(`; Truck: ${W} × ${L} × ${H} ${unit}`);
   lines.push(`; Cases: ${placements.length}, Walls: ${wallSections.length}`);
   lines.push('');
   lines.push('(defun C:TRUCKLOAD (/ oldlayer oldcmd)');
   lines.push('  (setq oldlayer (getvar "CLAYER"))');
   lines.push('  (setq oldcmd (getvar "CMDECHO"))');
   lines.push('  (setvar "CMDECHO" 0)');
+  lines.push(`  (setvar "INSUNITS" ${EXPORT_UNITS[unit].insunits})`);
   lines.push('  (command "_.UNDO" "_Begin")');
   lines.push('');
 
@@ -125,42 +163,45 @@ export function generateLISP(placements, wallSections, truck, deptColors) {
       const dept = p.dept || 'GENERAL';
       const safeDept = lispSafeStr(dept);
       const safeName = lispSafeStr(p.name || 'Case');
-      const x = p.x, y = p.y, z = p.z;
-      const w = p.width, d = p.depth, h = p.height;
-      const rot = p.rotation || 0;
+      const x = u(p.x), y = u(p.y), z = u(p.z);
+      const w = u(p.width), d = u(p.depth), h = u(p.height);
 
       lines.push(`  (command "_.LAYER" "_Set" "${safeDept}" "")`);
 
-      if (rot === 0) {
-        // No rotation — draw box directly
-        lines.push(`  (command "_.BOX"`);
-        lines.push(`    (strcat "${lispNum(x)},${lispNum(y)},${lispNum(z)}")`);
-        lines.push(`    (strcat "${lispNum(x + w)},${lispNum(y + d)},${lispNum(z)}")`);
-        lines.push(`    "${lispNum(h)}"`);
+      // width/depth/height are the box as placed (rotation and tipping already
+      // applied), so the box is drawn directly; round cases as the cylinder inside it
+      const cyl = caseCylinder(p);
+      if (cyl) {
+        const cx = x + w / 2, cy = y + d / 2, cz = z + h / 2;
+        const base = { x: [x, cy, cz], y: [cx, y, cz], z: [cx, cy, z] }[cyl.axis];
+        lines.push(`  (command "_.CYLINDER"`);
+        lines.push(`    (strcat "${base.map(lispNum).join(',')}")`);
+        lines.push(`    "${lispNum(u(cyl.radius))}"`);
+        if (cyl.axis === 'z') {
+          lines.push(`    "${lispNum(h)}"`);
+        } else {
+          const end = cyl.axis === 'x' ? [x + w, cy, cz] : [cx, y + d, cz];
+          lines.push(`    "_A" (strcat "${end.map(lispNum).join(',')}")`);
+        }
         lines.push(`  )`);
       } else {
-        // Rotation: draw at origin then move+rotate
         lines.push(`  (command "_.BOX"`);
-        lines.push(`    (strcat "${lispNum(0)},${lispNum(0)},${lispNum(0)}")`);
-        lines.push(`    (strcat "${lispNum(w)},${lispNum(d)},${lispNum(0)}")`);
+        lines.push(`    (strcat "${lispNum(x)},${lispNum(y)},${lispNum(z)}")`);
+        lines.push(`    (strcat "${lispNum(x + w)},${lispNum(y + d)},${lispNum(z)}")`);
         lines.push(`    "${lispNum(h)}"`);
         lines.push(`  )`);
-        // Rotate around origin in XY plane
-        lines.push(`  (command "_.ROTATE" (entlast) "" (strcat "${lispNum(0)},${lispNum(0)},${lispNum(0)}") "${lispNum(rot)}")`);
-        // Move to final position
-        lines.push(`  (command "_.MOVE" (entlast) "" (strcat "${lispNum(0)},${lispNum(0)},${lispNum(0)}") (strcat "${lispNum(x)},${lispNum(y)},${lispNum(z)}"))`);
       }
 
       // Text label on top
       const labelX = x + w / 2;
       const labelY = y + d / 2;
-      const labelZ = z + h + 0.5;
+      const labelZ = z + h + u(0.5);
       const textH = Math.min(w, d) * 0.2;
-      const clampedTextH = Math.max(1, Math.min(textH, 4));
+      const clampedTextH = Math.max(u(1), Math.min(textH, u(4)));
       lines.push(`  (command "_.TEXT" "_Justify" "_Middle"`);
       lines.push(`    (strcat "${lispNum(labelX)},${lispNum(labelY)},${lispNum(labelZ)}")`);
       lines.push(`    "${lispNum(clampedTextH)}" "0"`);
-      lines.push(`    "${safeName}"`);
+      lines.push(`    "${safeName}${orientationNote(p)}"`);
       lines.push(`  )`);
     }
     lines.push('');
@@ -198,23 +239,27 @@ export function generateLISP(placements, wallSections, truck, deptColors) {
  * @param {Object[]} wallSections — solver wallSections array
  * @param {Object} truck — truck dimensions { interiorWidth, interiorLength, interiorHeight }
  * @param {Object} deptColors — { dept: { label, color } } from buildDeptColors
+ * @param {string} [unit='in'] — display unit of the model (see units.js); lengths are
+ *   written in it with Ruby unit methods (91.44.cm) so SketchUp converts them
  * @returns {string} Ruby file content
  */
-export function generateSketchUp(placements, wallSections, truck, deptColors) {
-  const W = truck.interiorWidth;
-  const L = truck.interiorLength;
-  const H = truck.interiorHeight;
+export function generateSketchUp(placements, wallSections, truck, deptColors, unit = 'in') {
+  unit = EXPORT_UNITS[unit] ? unit : 'in';
+  const u = unit === 'in' ? (v => v) : (v => `${inUnit(v, unit)}.${EXPORT_UNITS[unit].ruby}`);
+  const W = u(truck.interiorWidth);
+  const L = u(truck.interiorLength);
+  const H = u(truck.interiorHeight);
   const lines = [];
 
   lines.push('# ── Truck Load Planner — SketchUp Ruby Export ──');
   lines.push('# Generated: ' + new Date().toISOString());
-  lines.push(`# Truck: ${W}" x ${L}" x ${H}"`);
+  lines.push(`# Truck: ${inUnit(truck.interiorWidth, unit)} x ${inUnit(truck.interiorLength, unit)} x ${inUnit(truck.interiorHeight, unit)} ${unit}`);
   lines.push(`# Cases: ${placements.length}, Walls: ${wallSections.length}`);
   lines.push(`# Coordinates: X=width, Y=depth (0=cab), Z=height (up)`);
   lines.push('');
   lines.push('model = Sketchup.active_model');
-  lines.push('# Force inches regardless of user template units');
-  lines.push('model.options["UnitsOptions"]["LengthUnit"] = 0');
+  lines.push(`# Show lengths in ${unit} regardless of user template units`);
+  lines.push(`model.options["UnitsOptions"]["LengthUnit"] = ${EXPORT_UNITS[unit].sketchup}`);
   lines.push('model.start_operation("Import Truck Load", true)');
   lines.push('entities = model.active_entities');
   lines.push('');
@@ -290,27 +335,33 @@ export function generateSketchUp(placements, wallSections, truck, deptColors) {
       const dept = p.dept || 'GENERAL';
       const safeDept = rubyEscape(dept);
       const name = rubyEscape(p.name || 'Case');
-      const x = p.x, y = p.y, z = p.z;
-      const w = p.width, d = p.depth, h = p.height;
-      const rot = p.rotation || 0;
+      const x = u(p.x), y = u(p.y), z = u(p.z);
+      const w = u(p.width), d = u(p.depth), h = u(p.height);
 
       lines.push(`# ${name}`);
       lines.push(`cg = we.add_group`);
-      lines.push(`cg.name = "${name}"`);
+      lines.push(`cg.name = "${name}${rubyEscape(orientationNote(p))}"`);
+      lines.push(`cg.set_attribute("TLP", "rotation", ${p.rotation || 0})`);
+      if (p.tip) lines.push(`cg.set_attribute("TLP", "tip", "${p.tip}")`);
       lines.push(`ce = cg.entities`);
 
-      // Draw box face at local origin, pushpull to height
-      lines.push(`face = ce.add_face([0,0,0], [${w},0,0], [${w},${d},0], [0,${d},0])`);
-      lines.push(`face.pushpull(${h})`);
-
-      // Build transformation: rotation (if any) + translation
-      if (rot !== 0) {
-        lines.push(`rot_t = Geom::Transformation.rotation([0,0,0], [0,0,1], ${rot}.degrees)`);
-        lines.push(`move_t = Geom::Transformation.translation([${x}, ${y}, ${z}])`);
-        lines.push(`cg.transform!(move_t * rot_t)`);
+      // Draw box face at local origin, pushpull to height — width/depth/height are
+      // the box as placed (rotation and tipping already applied). Round cases: a
+      // circle on the cylinder's base, turned to face along its axis, pushed to length.
+      const cyl = caseCylinder(p);
+      if (cyl) {
+        const hw = p.width / 2, hd = p.depth / 2, hh = p.height / 2;
+        const center = { x: [0, hd, hh], y: [hw, 0, hh], z: [hw, hd, 0] }[cyl.axis].map(u);
+        const normal = { x: '[1,0,0]', y: '[0,1,0]', z: '[0,0,1]' }[cyl.axis];
+        lines.push(`edges = ce.add_circle([${center.join(', ')}], ${normal}, ${u(cyl.radius)}, 24)`);
+        lines.push(`face = ce.add_face(edges)`);
+        lines.push(`face.reverse! if face.normal.${cyl.axis} < 0`);
+        lines.push(`face.pushpull(${u(cyl.length)})`);
       } else {
-        lines.push(`cg.transform!(Geom::Transformation.translation([${x}, ${y}, ${z}]))`);
+        lines.push(`face = ce.add_face([0,0,0], [${w},0,0], [${w},${d},0], [0,${d},0])`);
+        lines.push(`face.pushpull(${h})`);
       }
+      lines.push(`cg.transform!(Geom::Transformation.translation([${x}, ${y}, ${z}]))`);
 
       // Apply shared department material
       lines.push(`cg.material = model.materials["TLP_${safeDept}"]`);
@@ -348,6 +399,176 @@ function rubyEscape(s) {
 }
 
 
+// ─────────────────────────────────────────────────────────
+// Load sheet (CSV)
+// ─────────────────────────────────────────────────────────
+
+const SECURING_LABELS = { bar: 'Load bar', strap: 'Strap' };
+const SECURING_REASONS = {
+  wall: 'holds the wall face',
+  spacing: 'strap spacing',
+  stop: 'last wall of the stop',
+  door: 'last wall before the door',
+};
+
+/**
+ * Generate a load sheet: every wall in loading order (cab first), one line per case,
+ * then its voids to fill (see computeVoids) and the load bars and straps that hold
+ * it (see computeSecuringPlan).
+ *
+ * @param {Object[]} wallSections — solver wallSections array (with their placements)
+ * @param {Object} truck — truck profile { label, interiorWidth, interiorLength, interiorHeight }
+ * @param {Object} securing — securing plan { items, bars, straps }, or null for none
+ * @param {Object[]} [voids] — side gaps of partial walls
+ * @param {string} [unit='in'] — unit of the positions and sizes (see units.js)
+ * @returns {string} CSV file content
+ */
+export function generateLoadSheet(wallSections, truck, securing, voids = [], unit = 'in') {
+  unit = LENGTH_UNITS[unit] ? unit : 'in';
+  const f = 10 ** LENGTH_UNITS[unit].digits;
+  const u = v => Math.round(fromInches(v, unit) * f) / f;
+  const items = securing ? securing.items : [];
+  const walls = wallSections.filter(ws => (ws.placements || []).length)
+    .slice().sort((a, b) => a.yStart - b.yStart);
+
+  // Each bar or strap goes in once the last wall it holds is loaded
+  const after = new Map();
+  for (const it of items) {
+    const held = walls.filter(ws => it.wallIds.includes(ws.id));
+    const last = held.length ? held[held.length - 1].id : null;
+    if (!after.has(last)) after.set(last, []);
+    after.get(last).push(it);
+  }
+
+  const rows = [[`Truck: ${truck.label || ''}`, `${u(truck.interiorWidth)} x ${u(truck.interiorLength)} x ${u(truck.interiorHeight)} ${unit}`]];
+  rows.push(['Step', 'Wall', 'Item', 'Dept', 'Stop', `From cab (${unit})`, `From left (${unit})`,
+    `Height (${unit})`, `Size (${unit})`, 'Notes']);
+  const securingRow = (step, it) => rows.push([
+    step, it.label, SECURING_LABELS[it.type], '', it.stop || '',
+    u(it.y), u(it.x), u(it.z),
+    `${u(it.length)} ${it.axis === 'y' ? 'along' : 'across'}`,
+    SECURING_REASONS[it.reason] || '',
+  ]);
+
+  walls.forEach((ws, i) => {
+    const step = i + 1;
+    const cases = ws.placements.slice().sort((a, b) => a.z - b.z || a.x - b.x);
+    for (const p of cases) {
+      rows.push([
+        step, ws.label, `${p.name}${orientationNote(p)}`, p.dept || '', p.stop || '',
+        u(p.y), u(p.x), u(p.z),
+        `${u(p.width)} x ${u(p.depth)} x ${u(p.height)}`,
+        p.preloaded ? 'already in the truck' : p.pinned ? 'pinned' : '',
+      ]);
+    }
+    for (const v of voids.filter(v => v.wallId === ws.id)) {
+      rows.push([
+        step, ws.label, `Fill: ${v.fill}`, '', ws.stop || '',
+        u(v.y), u(v.x), u(v.z),
+        `${u(v.width)} x ${u(v.depth)} x ${u(v.height)}`,
+        v.note,
+      ]);
+    }
+    for (const it of after.get(ws.id) || []) securingRow(step, it);
+  });
+  for (const it of after.get(null) || []) securingRow('', it);
+
+  if (securing) {
+    rows.push(['Total', '', `${securing.bars} load bars, ${securing.straps} straps, ${voids.length} voids to fill`]);
+  }
+  return rows.map(r => r.map(csvCell).join(',')).join('\n');
+}
+
+/**
+ * Quote a CSV cell when it holds a comma, quote or line break.
+ */
+function csvCell(v) {
+  const s = String(v == null ? '' : v);
+  return s.includes(',') || s.includes('"') || s.includes('\n') ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+
+// ─────────────────────────────────────────────────────────
+// Plan files (JSON)
+// ─────────────────────────────────────────────────────────
+
+const PLAN_FORMAT = 'truck-load-plan';
+const PLAN_VERSION = 1;
+const PLAN_FIELDS = ['name', 'dept', 'subgroup', 'case_id', 'x', 'y', 'z', 'width', 'depth', 'height',
+  'weight', 'rotation', 'tip', 'shape', 'stackable', 'maxStack', 'canBearLoad', 'fragile', 'topOnly', 'maxLoadOnTop'];
+
+/**
+ * Generate a plan file: the truck and where every case sits in it.
+ *
+ * @param {Object[]} placements — solver placement array
+ * @param {Object[]} wallSections — solver wallSections array (gives each case its wall label)
+ * @param {Object} truck — truck profile { label, interiorWidth, interiorLength, interiorHeight }
+ * @returns {string} JSON file content
+ */
+export function generatePlanJSON(placements, wallSections, truck) {
+  const wallOf = new Map();
+  for (const ws of wallSections || []) {
+    for (const p of ws.placements || []) wallOf.set(p, ws.label);
+  }
+  return JSON.stringify({
+    format: PLAN_FORMAT,
+    version: PLAN_VERSION,
+    generated: new Date().toISOString(),
+    unit: 'in',
+    truck: {
+      label: truck.label || '',
+      interiorWidth: truck.interiorWidth,
+      interiorLength: truck.interiorLength,
+      interiorHeight: truck.interiorHeight,
+    },
+    placements: placements.map(p => {
+      const out = {};
+      for (const f of PLAN_FIELDS) {
+        if (p[f] !== undefined && p[f] !== null && p[f] !== '') out[f] = p[f];
+      }
+      if (wallOf.has(p)) out.wall = wallOf.get(p);
+      return out;
+    }),
+  }, null, 2);
+}
+
+/**
+ * Read a plan file back.
+ *
+ * @param {string} text — plan file content (see generatePlanJSON)
+ * @returns {{ truck: Object, placements: Object[] }}
+ * @throws {Error} when the file is not a plan file or a case has no position or size
+ */
+export function parsePlanJSON(text) {
+  let plan;
+  try {
+    plan = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Not a JSON file: ' + err.message);
+  }
+  if (!plan || plan.format !== PLAN_FORMAT || !Array.isArray(plan.placements)) {
+    throw new Error('Not a truck load plan file');
+  }
+  if (plan.version > PLAN_VERSION) {
+    throw new Error(`Plan file version ${plan.version} is newer than this app (${PLAN_VERSION})`);
+  }
+  const numeric = ['x', 'y', 'z', 'width', 'depth', 'height'];
+  // Files written in another unit are read back in inches
+  const unit = parseUnit(plan.unit) || 'in';
+  plan.placements.forEach((p, i) => {
+    const bad = numeric.filter(f => typeof p[f] !== 'number' || !isFinite(p[f]));
+    if (bad.length) throw new Error(`Case ${i + 1} (${p.name || 'unnamed'}): missing ${bad.join(', ')}`);
+    if (!p.name) p.name = `Case ${i + 1}`;
+    if (unit !== 'in') for (const f of numeric) p[f] = toInches(p[f], unit);
+  });
+  if (unit !== 'in' && plan.truck) {
+    for (const f of ['interiorWidth', 'interiorLength', 'interiorHeight']) {
+      if (typeof plan.truck[f] === 'number') plan.truck[f] = toInches(plan.truck[f], unit);
+    }
+  }
+  return { truck: plan.truck || {}, placements: plan.placements };
+}
+
 // ─────────────────────────────────────────────────────────
 // Download helpers
 // ─────────────────────────────────────────────────────────
@@ -370,8 +591,8 @@ function downloadFile(content, filename, mimeType) {
 /**
  * Export placements as AutoCAD LISP file and trigger download.
  */
-export function exportLISP(placements, wallSections, truck, deptColors) {
-  const content = generateLISP(placements, wallSections, truck, deptColors);
+export function exportLISP(placements, wallSections, truck, deptColors, unit = 'in') {
+  const content = generateLISP(placements, wallSections, truck, deptColors, unit);
   const timestamp = new Date().toISOString().slice(0, 10);
   downloadFile(content, `truck-load-${timestamp}.lsp`, 'application/x-lisp');
 }
@@ -379,8 +600,26 @@ export function exportLISP(placements, wallSections, truck, deptColors) {
 /**
  * Export placements as SketchUp Ruby file and trigger download.
  */
-export function exportSketchUp(placements, wallSections, truck, deptColors) {
-  const content = generateSketchUp(placements, wallSections, truck, deptColors);
+export function exportSketchUp(placements, wallSections, truck, deptColors, unit = 'in') {
+  const content = generateSketchUp(placements, wallSections, truck, deptColors, unit);
   const timestamp = new Date().toISOString().slice(0, 10);
   downloadFile(content, `truck-load-${timestamp}.rb`, 'application/x-ruby');
 }
+
+/**
+ * Export a load sheet (.csv) with the securing plan and void fill, and trigger download.
+ */
+export function exportLoadSheet(wallSections, truck, securing, voids, unit = 'in') {
+  const content = generateLoadSheet(wallSections, truck, securing, voids, unit);
+  const timestamp = new Date().toISOString().slice(0, 10);
+  downloadFile(content, `truck-load-${timestamp}.csv`, 'text/csv;charset=utf-8');
+}
+
+/**
+ * Export placements as a plan file (.json) and trigger download.
+ */
+export function exportPlanJSON(placements, wallSections, truck) {
+  const content = generatePlanJSON(placements, wallSections, truck);
+  const timestamp = new Date().toISOString().slice(0, 10);
+  downloadFile(content, `truck-load-${timestamp}.json`, 'application/json');
+}
@@ -0,0 +1,273 @@
+// fleet.js — Multi-truck load splitting on top of the WallPlanner solver
+//
+// Cases carry an optional truck assignment (`camion` column → case.truck).
+// Pre-assigned cases always ride in their truck; everything else is split
+// across the fleet by one of two strategies:
+//   - 'fill': pack truck 1 to the door, spill what doesn't fit into truck 2, ...
+//   - 'dept': keep departments together, moving to the next truck when a
+//             whole department no longer fits
+// Each truck is then solved independently with wallPlannerSolve().
+
+import { wallPlannerSolve } from './solver.js';
+
+export const FLEET_STRATEGIES = {
+  fill: 'Fill trucks in order',
+  dept: 'Keep departments together',
+};
+
+/**
+ * Truck profile (trucks.json entry) → solver truck fields.
+ * @param {Object} truck — { interiorWidth, interiorLength, interiorHeight, maxPayload, axles, obstructions, doors }
+ * @returns {Object} — { truckWidth, truckLength, truckHeight, maxPayload, axles, obstructions, doors }
+ */
+export function truckSolverConfig(truck) {
+  return {
+    truckWidth: truck.interiorWidth,
+    truckLength: truck.interiorLength,
+    truckHeight: truck.interiorHeight,
+    maxPayload: truck.maxPayload || 0,
+    axles: truck.axles || [],
+    obstructions: truck.obstructions || [],
+    doors: truck.doors || [],
+  };
+}
+
+/**
+ * Parse a `camion` cell into a 1-based truck number ("2", "T2", "Camion 2" → 2).
+ * @param {string|number} value
+ * @returns {number} — 0 when unassigned
+ */
+export function parseTruckNumber(value) {
+  const m = String(value == null ? '' : value).match(/\d+/);
+  return m ? parseInt(m[0], 10) : 0;
+}
+
+/**
+ * Split cases across a fleet of trucks and solve each one.
+ *
+ * @param {Object[]} cases — case objects (see wallPlannerSolve), case.truck = assignment
+ * @param {Object[]} trucks — truck profiles from trucks.json, one per truck in the fleet
+ * @param {Object} options — { strategy: 'fill'|'dept', deptPriority, kbPatterns, tuning, variant, optimize, debug, preloaded, onProgress }
+ *   tuning, variant, optimize, debug: passed to wallPlannerSolve() (see its config)
+ *   preloaded: cargo already in each truck — [placements of truck 1, of truck 2, ...]
+ *     (see wallPlannerSolve config.preloaded); missing entries are empty trucks
+ *   onProgress: optional, called per solver phase with { phase, label, step, steps, truck, trucks }
+ * @returns {{ strategy: string, trucks: Object[], unplaced: Object[] }}
+ *   trucks: [{ index, label, truck, cases, result }] — result is the wallPlannerSolve() output
+ *   unplaced: [{ case, reason, message, truckIndex }] — cases no truck could take
+ */
+export function solveFleet(cases, trucks, options = {}) {
+  const strategy = FLEET_STRATEGIES[options.strategy] ? options.strategy : 'fill';
+  const deptPriority = options.deptPriority || {};
+  let current = 0; // truck being solved, for progress reports
+  const onProgress = options.onProgress
+    ? p => options.onProgress({ ...p, truck: current + 1, trucks: trucks.length })
+    : null;
+  const solveFor = (truck, load) => wallPlannerSolve(load, {
+    ...truckSolverConfig(truck),
+    deptPriority,
+    kbPatterns: options.kbPatterns || [],
+    tuning: options.tuning,
+    variant: options.variant,
+    optimize: options.optimize,
+    debug: options.debug,
+    preloaded: (options.preloaded || [])[current] || [],
+    onProgress,
+  });
+
+  // Pre-assigned cases per truck; out-of-range numbers fall back to the shared pool
+  const assigned = trucks.map(() => []);
+  let pool = [];
+  for (const c of cases) {
+    const n = parseTruckNumber(c.truck);
+    if (n >= 1 && n <= trucks.length) {
+      assigned[n - 1].push(c);
+    } else {
+      if (n > trucks.length) console.warn(`[Fleet] "${c.name || c.nom}" assigned to truck ${n} but fleet has ${trucks.length} → auto-assigned`);
+      pool.push(c);
+    }
+  }
+  // Highest-priority departments load first, so each truck gets a contiguous run of departments
+  const prio = d => deptPriority[d] ?? 99;
+  pool.sort((a, b) => prio(a.dept) - prio(b.dept));
+
+  const out = [];
+  const unplaced = [];
+  for (let i = 0; i < trucks.length; i++) {
+    current = i;
+    const truck = trucks[i];
+    const pinned = new Set(assigned[i]);
+    const isLast = i === trucks.length - 1;
+
+    const { result, taken } = strategy === 'dept' && !isLast
+      ? fleetTakeByDept(solveFor, truck, assigned[i], pool)
+      : fleetTakeByFill(solveFor, truck, assigned[i], pool, pinned);
+
+    const left = new Set(result.unplaced.map(u => u.case));
+    const loaded = assigned[i].concat(taken).filter(c => !left.has(c));
+    const takenSet = new Set(taken);
+    // Pool cases this truck didn't take (or couldn't fit) move on to the next truck
+    pool = pool.filter(c => !takenSet.has(c)).concat(taken.filter(c => left.has(c)));
+    pool.sort((a, b) => prio(a.dept) - prio(b.dept));
+
+    // Only pinned cases (and, on the last truck, the leftover pool) are unplaced for good
+    const final = result.unplaced.filter(u => pinned.has(u.case) || isLast);
+    result.unplaced = final;
+    for (const u of final) unplaced.push({ ...u, truckIndex: i + 1 });
+    if (isLast) pool = [];
+
+    out.push({ index: i + 1, label: `${i + 1}: ${truck.label || 'Truck'}`, truck, cases: loaded, result });
+    console.log(`[Fleet] Truck ${i + 1} (${truck.label || '?'}): ${result.placements.length} placed, ${pool.length} carried over`);
+  }
+
+  console.log(`[Fleet] ${strategy}: ${cases.length} cases on ${trucks.length} trucks, ${unplaced.length} unplaced`);
+  return { strategy, trucks: out, unplaced };
+}
+
+// 'fill': offer the whole pool; if pinned cases get squeezed out, offer less
+// (pinned cases that can never fit this truck — too tall, too wide — don't count)
+function fleetTakeByFill(solveFor, truck, pinnedCases, pool, pinned) {
+  let take = pool.length;
+  for (;;) {
+    const offered = pool.slice(0, take);
+    const result = solveFor(truck, pinnedCases.concat(offered));
+    const pinnedLeft = result.unplaced.some(u => u.reason === 'no_fit' && pinned.has(u.case));
+    if (!pinnedLeft || take === 0) return { result, taken: offered };
+    take = Math.floor(take / 2);
+  }
+}
+
+// 'dept': add whole departments while everything still fits
+function fleetTakeByDept(solveFor, truck, pinnedCases, pool) {
+  const depts = [];
+  for (const c of pool) {
+    const d = c.dept || 'GENERAL';
+    if (!depts.length || depts[depts.length - 1].dept !== d) depts.push({ dept: d, cases: [] });
+    depts[depts.length - 1].cases.push(c);
+  }
+
+  let taken = [];
+  let result = solveFor(truck, pinnedCases);
+  const baseline = result.unplaced.length;
+  for (const group of depts) {
+    const trial = solveFor(truck, pinnedCases.concat(taken, group.cases));
+    if (trial.unplaced.length <= baseline) {
+      taken = taken.concat(group.cases);
+      result = trial;
+      continue;
+    }
+    // A department bigger than an empty truck is split; otherwise it waits for the next truck
+    if (taken.length === 0) {
+      taken = group.cases;
+      result = trial;
+    }
+    break;
+  }
+  return { result, taken };
+}
+
+/**
+ * Fleet sizing: try every combination of truck profiles (up to maxTrucks) and
+ * rank them. A candidate fits when every case is placed and no truck is over
+ * its payload or an axle limit; the recommendation is the cheapest fitting candidate.
+ *
+ * Pre-assigned `camion` numbers and pre-loaded cargo are ignored here — they
+ * refer to a fleet that doesn't exist yet. So is `optimize`: the local search
+ * would run for every truck of every combination, and sizing shouldn't depend on it.
+ *
+ * @param {Object[]} cases — case objects (see wallPlannerSolve)
+ * @param {Object} profiles — trucks.json `trucks` map ({ key: profile }); profile.cost optional
+ * @param {Object} options — { maxTrucks (default 3), deptPriority, kbPatterns, tuning, onProgress }
+ *   onProgress: as for solveFleet(), plus { candidate, candidates }
+ * @returns {{ recommended: Object|null, candidates: Object[] }}
+ *   candidate: { keys, label, cost, fits, unplaced, overweight, skipped?,
+ *     trucks: [{ key, label, cases, depth, depthPct, fillPct, weight }] }
+ */
+export function recommendFleet(cases, profiles, options = {}) {
+  const maxTrucks = options.maxTrucks || 3;
+  const keys = Object.keys(profiles);
+  // Without a cost, interior length stands in: shorter trucks are "cheaper"
+  const costOf = k => profiles[k].cost ?? profiles[k].interiorLength;
+  const volumeOf = p => p.interiorWidth * p.interiorLength * p.interiorHeight;
+
+  const loose = cases.map(c => ({ ...c, truck: '' }));
+  const caseVolume = loose.reduce((s, c) => s + c.width * c.depth * c.height, 0);
+  const caseWeight = loose.reduce((s, c) => s + (c.weight || 0), 0);
+
+  // Multisets of truck keys, 1..maxTrucks trucks
+  const combos = [];
+  const build = (start, combo) => {
+    if (combo.length > 0) combos.push(combo);
+    if (combo.length === maxTrucks) return;
+    for (let i = start; i < keys.length; i++) build(i, combo.concat(keys[i]));
+  };
+  build(0, []);
+
+  let candidates = combos.map((combo, ci) => {
+    // Largest truck first: 'fill' packs it to the door before spilling over
+    const sorted = combo.slice().sort((a, b) => profiles[b].interiorLength - profiles[a].interiorLength);
+    const trucks = sorted.map(k => profiles[k]);
+    const candidate = {
+      keys: sorted,
+      label: fleetComboLabel(sorted, profiles),
+      cost: sorted.reduce((s, k) => s + costOf(k), 0),
+      fits: false,
+      unplaced: loose.length,
+      overweight: false,
+      trucks: [],
+    };
+
+    // Cheap lower bounds before running the solver
+    const capacity = trucks.reduce((s, t) => s + volumeOf(t), 0);
+    const payload = trucks.every(t => t.maxPayload > 0)
+      ? trucks.reduce((s, t) => s + t.maxPayload, 0) : Infinity;
+    if (caseVolume > capacity) {
+      candidate.skipped = 'not enough volume';
+      return candidate;
+    }
+    if (caseWeight > payload) {
+      candidate.skipped = 'over total payload';
+      candidate.overweight = true;
+      return candidate;
+    }
+
+    const onProgress = options.onProgress
+      ? p => options.onProgress({ ...p, candidate: ci + 1, candidates: combos.length })
+      : null;
+    const fleet = solveFleet(loose, trucks, { ...options, strategy: 'fill', preloaded: [], optimize: false, onProgress });
+    candidate.unplaced = fleet.unplaced.length;
+    candidate.overweight = fleet.trucks.some(t => t.result.violations.some(v => v.type === 'PAYLOAD' || v.type === 'AXLE'));
+    candidate.fits = candidate.unplaced === 0 && !candidate.overweight;
+    candidate.trucks = fleet.trucks.map((t, i) => {
+      const { result } = t;
+      const depth = result.wallSections.reduce((m, w) => Math.max(m, w.yEnd), 0);
+      const volume = result.placements.reduce((s, p) => s + p.width * p.depth * p.height, 0);
+      return {
+        key: sorted[i],
+        label: t.truck.label,
+        cases: result.placements.length,
+        depth,
+        depthPct: Math.round((depth / t.truck.interiorLength) * 100),
+        fillPct: Math.round((volume / volumeOf(t.truck)) * 100),
+        weight: result.weight ? result.weight.total : 0,
+      };
+    });
+    return candidate;
+  });
+
+  // A fitting combination that leaves a truck empty is just a smaller one plus a spare
+  candidates = candidates.filter(c => !(c.fits && c.trucks.some(t => t.cases === 0)));
+  candidates.sort((a, b) =>
+    (b.fits - a.fits) || (a.cost - b.cost) || (a.keys.length - b.keys.length) || (a.unplaced - b.unplaced));
+  const recommended = candidates.find(c => c.fits) || null;
+  console.log(`[Fleet] Sizing: ${candidates.filter(c => c.fits).length}/${candidates.length} combinations fit` +
+    (recommended ? `, recommended ${recommended.label} (cost ${recommended.cost})` : ''));
+  return { recommended, candidates };
+}
+
+// "2 × 20' Truck + 53' Truck"
+function fleetComboLabel(keys, profiles) {
+  const counts = new Map();
+  for (const k of keys) counts.set(k, (counts.get(k) || 0) + 1);
+  return [...counts].map(([k, n]) => (n > 1 ? `${n} × ` : '') + (profiles[k].label || k)).join(' + ');
+}
@@ -0,0 +1,134 @@
+// recipes.js — Wall recipes learned from hand-fixed editor layouts
+//
+// A recipe is a proven wall: its columns left to right, each one a stack of
+// cases from one group (see solver Phase 3A and config/wall-recipes.json).
+// Walls saved from the editor are turned into recipes and kept in
+// localStorage, merged with the config file recipes on every solver run.
+
+const STORAGE_KEY = 'tlp-wall-recipes';
+const X_TOL = 0.5;     // columns: same x / width within ½"
+const DEPTH_TOL = 8;   // same flat-face limit the solver uses
+
+/**
+ * Extract recipes from wall sections (editor `_autoGroupWalls` output).
+ * A wall qualifies when it has at least two columns, every column is a clean
+ * stack of one group and one footprint, and its depths stay within the
+ * flat-face limit.
+ * @param {Object[]} wallSections — [{ label, placements: [{ x, z, width, depth, height, subgroup, group }] }]
+ * @returns {Object[]} — [{ id, label, columns: [{ group, w, d, h, stack, x }] }]
+ */
+export function extractRecipes(wallSections) {
+  const recipes = [];
+  for (const ws of wallSections || []) {
+    const columns = recipeColumns(ws.placements || []);
+    if (!columns || columns.length < 2) continue;
+    const depths = columns.map(c => c.d);
+    if (Math.max(...depths) - Math.min(...depths) > DEPTH_TOL) continue;
+    const recipe = { id: '', label: ws.label || columns.map(c => c.group).join(' + '), columns };
+    recipe.id = 'learned-' + recipeHash(recipeSignature(recipe));
+    recipes.push(recipe);
+  }
+  return mergeRecipes(recipes);
+}
+
+/**
+ * Recipe identity: its columns, ignoring id and label.
+ * @param {Object} recipe
+ * @returns {string}
+ */
+export function recipeSignature(recipe) {
+  return recipe.columns
+    .map(c => `${String(c.group || '').toLowerCase()}|${c.w}x${c.d}x${c.h}|${c.stack}|${c.x ?? ''}`)
+    .join(';');
+}
+
+/**
+ * Merge recipe lists, dropping duplicates (first occurrence wins).
+ * @param {...Object[]} lists
+ * @returns {Object[]}
+ */
+export function mergeRecipes(...lists) {
+  const seen = new Set();
+  const out = [];
+  for (const r of lists.flat()) {
+    const sig = recipeSignature(r);
+    if (seen.has(sig)) continue;
+    seen.add(sig);
+    out.push(r);
+  }
+  return out;
+}
+
+/**
+ * Recipes learned in this browser.
+ * @returns {Object[]}
+ */
+export function loadLearnedRecipes() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (err) {
+    console.warn('[Recipes] Failed to read learned recipes:', err);
+    return [];
+  }
+}
+
+/**
+ * Add recipes to the learned set.
+ * @param {Object[]} recipes
+ * @returns {{ added: number, total: number }}
+ */
+export function saveLearnedRecipes(recipes) {
+  const before = loadLearnedRecipes();
+  const merged = mergeRecipes(before, recipes);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(merged));
+  console.log(`[Recipes] Saved ${merged.length - before.length} new recipes (${merged.length} learned)`);
+  return { added: merged.length - before.length, total: merged.length };
+}
+
+/**
+ * Forget every learned recipe (config/wall-recipes.json is untouched).
+ */
+export function clearLearnedRecipes() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+// Placements of one wall → columns (null when a column mixes groups or footprints)
+function recipeColumns(placements) {
+  if (!placements.length) return null;
+  const cols = [];
+  for (const p of [...placements].sort((a, b) => a.x - b.x || a.z - b.z)) {
+    const col = cols.find(c => Math.abs(c.x - p.x) <= X_TOL && Math.abs(c.w - p.width) <= X_TOL);
+    if (col) {
+      col.cases.push(p);
+    } else {
+      cols.push({ x: p.x, w: p.width, cases: [p] });
+    }
+  }
+
+  const x0 = Math.min(...cols.map(c => c.x));
+  const columns = [];
+  for (const col of cols) {
+    const first = col.cases[0];
+    const group = first.subgroup || first.group || '';
+    const clean = col.cases.every(p =>
+      (p.subgroup || p.group || '') === group &&
+      Math.abs(p.depth - first.depth) <= X_TOL &&
+      Math.abs(p.height - first.height) <= X_TOL);
+    if (!clean) return null;
+    columns.push({
+      group,
+      w: first.width, d: first.depth, h: first.height,
+      stack: col.cases.length,
+      x: Math.round((col.x - x0) * 10) / 10,
+    });
+  }
+  return columns;
+}
+
+// Short stable hash for recipe ids (djb2)
+function recipeHash(str) {
+  let h = 5381;
+  for (let i = 0; i < str.length; i++) h = ((h << 5) + h + str.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36);
+}
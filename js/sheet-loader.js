@@ -1,6 +1,8 @@
 // sheet-loader.js — Google Sheet fetch + parsing (universal + legacy)
 // Uses Google Visualization API with JSONP to bypass CORS (works from file:// too)
 
+import { parseUnit, headerUnit, toInches } from './units.js';
+
 /**
  * Extract a Google Sheet ID from a URL or return it as-is if already an ID.
  * Supports formats:
@@ -78,6 +80,7 @@ const COLUMN_ALIASES = {
   largeur:   ['LARGEUR', 'WIDTH', 'W', 'LARG', 'L (PO)'],
   profondeur:['PROFONDEUR', 'DEPTH', 'D', 'PROF', 'W (PO)'],
   hauteur:   ['HAUTEUR', 'HEIGHT', 'H', 'HAUT', 'H (PO)'],
+  poids:     ['POIDS', 'WEIGHT', 'WT', 'LBS', 'POIDS (LB)'],
   dept:      ['DEPT', 'DEPARTMENT', 'DEPARTEMENT', 'DEP'],
   qty:       ['QTY', 'QUANTITY', 'QUANTITE', 'QUANTITÉ', 'QTE'],
   stackable: ['STACKABLE', 'EMPILABLE'],
@@ -86,6 +89,18 @@ const COLUMN_ALIASES = {
   allow_rotation: ['ALLOW_ROTATION', 'ROTATION'],
   group:     ['GROUP', 'GROUPE', 'SUBGROUP', 'SOUS_GROUPE', 'SOUS-GROUPE', 'SOUS GROUPE'],
   camion:    ['CAMION', 'TRUCK'],
+  stop:      ['STOP', 'ARRET', 'ARRÊT'],
+  can_bear_load: ['CAN_BEAR_LOAD', 'BEAR_LOAD', 'PORTEUR'],
+  pin_x:     ['PIN_X', 'POS_X'],
+  pin_y:     ['PIN_Y', 'POS_Y'],
+  pin_z:     ['PIN_Z', 'POS_Z'],
+  door:      ['DOOR', 'PORTE'],
+  this_side_up: ['THIS_SIDE_UP', 'SIDE_UP', 'ORIENTATIONS', 'ORIENTATION'],
+  fragile:   ['FRAGILE'],
+  top_only:  ['TOP_ONLY', 'NOTHING_ON_TOP', 'DESSUS_SEULEMENT'],
+  max_load_on_top: ['MAX_LOAD_ON_TOP', 'MAX_LOAD', 'CHARGE_MAX'],
+  unit:      ['UNIT', 'UNITS', 'UNITE', 'UNITÉ', 'UNITÉS'],
+  shape:     ['SHAPE', 'FORME'],
   selection: ['SÉLECTION', 'SELECTION', 'SEL', 'SELECTED'],
   // Legacy GB columns
   index:     ['#', 'INDEX'],
@@ -96,6 +111,42 @@ const COLUMN_ALIASES = {
   inclus:    ['INCLUS', 'INCLUDED'],
 };
 
+/**
+ * Shape key for a cell: "cylindre", "drum", "debout" → 'cylinder-standing';
+ * "cylinder lying", "rouleau", "tapis" → 'cylinder-lying'; blank or anything else → 'box'.
+ * @param {*} val
+ * @returns {'box'|'cylinder-standing'|'cylinder-lying'}
+ */
+export function parseShape(val) {
+  const s = String(val == null ? '' : val).trim().toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  if (/lying|couche|horizontal|roll|rouleau|tapis/.test(s)) return 'cylinder-lying';
+  if (/cylind|round|rond|drum|touret|tambour|standing|debout|vertical/.test(s)) return 'cylinder-standing';
+  return 'box';
+}
+
+/**
+ * Bounding box of a case from its sheet dimensions. A standing cylinder's diameter
+ * is the larger of width and depth; a lying cylinder's axis runs along its width and
+ * its diameter is the larger of depth and height. Boxes are returned as they are.
+ * @param {string} shape — parseShape() key
+ * @param {number} width
+ * @param {number} depth
+ * @param {number} height
+ * @returns {{ width: number, depth: number, height: number }}
+ */
+export function shapeBounds(shape, width, depth, height) {
+  if (shape === 'cylinder-standing') {
+    const dia = Math.max(width, depth);
+    return { width: dia, depth: dia, height };
+  }
+  if (shape === 'cylinder-lying') {
+    const dia = Math.max(depth, height);
+    return { width, depth: dia, height: dia };
+  }
+  return { width, depth, height };
+}
+
 function matchColumn(header, aliases) {
   const h = header.trim().toUpperCase();
   for (const [field, names] of Object.entries(aliases)) {
@@ -137,11 +188,16 @@ function getBool(row, idx) {
  * Universal mode: dimensions come from sheet columns (largeur/profondeur/hauteur).
  * Legacy mode: if blockConfig has blocks/subgroupBlock/subgroupDept, use those as fallbacks.
  *
+ * Lengths (dimensions, pins) are converted to inches. Their unit is the row's
+ * `unit` cell, else the one in the largeur header ("Largeur (cm)"), else `unit`.
+ * Each case keeps its source unit in `unit`.
+ *
  * @param {Object} gvizResponse — response from fetchSheetViaJsonp
  * @param {Object} [blockConfig] — optional legacy block config { blocks, subgroupBlock, subgroupDept }
+ * @param {string} [unit='in'] — sheet-level length unit (see units.js)
  * @returns {Object[]} — Array of case objects ready for solver
  */
-export function parseSheetData(gvizResponse, blockConfig) {
+export function parseSheetData(gvizResponse, blockConfig, unit = 'in') {
   const table = gvizResponse.table;
   if (!table || !table.rows) return [];
 
@@ -162,6 +218,11 @@ export function parseSheetData(gvizResponse, blockConfig) {
   });
 
   console.log('[Sheet] Detected columns:', Object.keys(colIdx).join(', '));
+
+  // Sheet-level length unit: "Largeur (cm)" header, else the caller's setting
+  const fromHeader = headerUnit(cols[colIdx.largeur]);
+  const sheetUnit = fromHeader || parseUnit(unit) || 'in';
+  if (sheetUnit !== 'in') console.log(`[Sheet] Lengths in ${sheetUnit}${fromHeader ? ' (from header)' : ''}`);
   console.log('[Sheet] Mode:', isLegacy ? 'legacy (block config fallback)' : 'universal (dimensions from sheet)');
 
   const cases = [];
@@ -195,11 +256,16 @@ export function parseSheetData(gvizResponse, blockConfig) {
     const sheetDept = getVal(row, colIdx.dept);
     const dept = sheetDept || (isLegacy ? (subgroupDept[group] || 'AUTRE') : 'GENERAL');
 
-    // Resolve dimensions: sheet columns → block config fallback → 0
+    // Resolve dimensions: sheet columns (in the row's unit) → block config fallback (inches) → 0
+    const rowUnit = parseUnit(getVal(row, colIdx.unit)) || sheetUnit;
+    const len = idx => toInches(getNum(row, idx), rowUnit);
     const blockDef = blocks[blockName] || {};
-    const width = getNum(row, colIdx.largeur) || blockDef.w || 0;
-    const depth = getNum(row, colIdx.profondeur) || blockDef.d || 0;
-    const height = getNum(row, colIdx.hauteur) || blockDef.h || 0;
+    // Cylinders are packed as their bounding box (see shapeBounds)
+    const shape = parseShape(getVal(row, colIdx.shape) || blockDef.shape);
+    const { width, depth, height } = shapeBounds(shape,
+      len(colIdx.largeur) || blockDef.w || 0,
+      len(colIdx.profondeur) || blockDef.d || 0,
+      len(colIdx.hauteur) || blockDef.h || 0);
 
     // Skip rows with no dimensions (can't place a 0x0x0 case)
     if (width === 0 || depth === 0 || height === 0) {
@@ -214,6 +280,9 @@ export function parseSheetData(gvizResponse, blockConfig) {
       }
     }
 
+    // Weight (lbs) — 0 when unknown, excluded from payload/axle checks
+    const weight = getNum(row, colIdx.poids) || blockDef.weight || 0;
+
     // Resolve stacking
     const stackable = colIdx.stackable !== undefined
       ? getBool(row, colIdx.stackable)
@@ -227,6 +296,17 @@ export function parseSheetData(gvizResponse, blockConfig) {
       ? getBool(row, colIdx.is_floor)
       : false;
 
+    // Load bearing: false = nothing may be stacked on top (default true)
+    const canBearLoad = colIdx.can_bear_load !== undefined && getVal(row, colIdx.can_bear_load) !== ''
+      ? getBool(row, colIdx.can_bear_load)
+      : (blockDef.canBearLoad !== false);
+    // Crush limits: fragile / top_only = nothing on top; max_load_on_top = lb it may carry (blank = no limit)
+    const fragile = getBool(row, colIdx.fragile) || !!blockDef.fragile;
+    const topOnly = getBool(row, colIdx.top_only) || !!blockDef.topOnly;
+    const maxLoadOnTop = getVal(row, colIdx.max_load_on_top) !== ''
+      ? getNum(row, colIdx.max_load_on_top)
+      : (typeof blockDef.maxLoadOnTop === 'number' ? blockDef.maxLoadOnTop : null);
+
     // Rotation allowed
     const allowRotation = colIdx.allow_rotation !== undefined
       ? getBool(row, colIdx.allow_rotation)
@@ -239,6 +319,21 @@ export function parseSheetData(gvizResponse, blockConfig) {
     const truckVal = getVal(row, colIdx.camion);
     const truck = (!truckVal || truckVal === '—' || truckVal === '-') ? '' : truckVal;
 
+    // Delivery stop (1 = first venue, unloaded first)
+    const stop = Math.max(0, Math.round(getNum(row, colIdx.stop)));
+
+    // Pinned position (from the cab-end left floor corner): pin_x and pin_y
+    // set it, pin_z defaults to the floor. Only the first case of a row is pinned.
+    const pin = getVal(row, colIdx.pin_x) !== '' && getVal(row, colIdx.pin_y) !== ''
+      ? { x: len(colIdx.pin_x), y: len(colIdx.pin_y), z: len(colIdx.pin_z) }
+      : null;
+    if (pin && qty > 1) console.warn(`[Sheet] "${nom || group}" is pinned with qty ${qty} — only the first case is pinned`);
+
+    // Loading door: 'side' goes through the truck's side door, anything else the rear
+    const door = /^(side|s|c[oô]t[eé]|lat[eé]ral)$/i.test(getVal(row, colIdx.door)) ? 'side' : '';
+    // this_side_up: 'false' / 'any' lets the case be laid down (default: upright only)
+    const thisSideUp = !/^(false|faux|non|no|0|any|all|toutes?|libre)$/i.test(getVal(row, colIdx.this_side_up));
+
     // Create case objects (expand qty)
     for (let q = 0; q < qty; q++) {
       const caseName = qty > 1 ? `${nom || group} #${q + 1}` : (nom || group);
@@ -255,11 +350,22 @@ export function parseSheetData(gvizResponse, blockConfig) {
         width,
         depth,
         height,
+        weight,
         rotation: blockDef.rot || 0,
         rangement: getVal(row, colIdx.rangement),
         truck,
+        stop,
         stackable,
         maxStack,
+        canBearLoad,
+        fragile,
+        topOnly,
+        maxLoadOnTop,
+        pin: q === 0 ? pin : null,
+        door,
+        thisSideUp,
+        shape,
+        unit: rowUnit,
         isFloor,
         allowRotation,
       });
@@ -278,11 +384,12 @@ export function parseSheetData(gvizResponse, blockConfig) {
  * @param {string} input — URL or Sheet ID
  * @param {Object} [blockConfig] — optional legacy block configuration
  * @param {string} [sheetName='Inventaire'] — tab name
+ * @param {string} [unit='in'] — sheet-level length unit (see parseSheetData)
  * @returns {Promise<Object[]>} — parsed cases
  */
-export async function fetchAndParseCases(input, blockConfig, sheetName = 'Inventaire') {
+export async function fetchAndParseCases(input, blockConfig, sheetName = 'Inventaire', unit = 'in') {
   const sheetId = extractSheetId(input);
   if (!sheetId) throw new Error('Invalid Sheet URL or ID');
   const response = await fetchSheetViaJsonp(sheetId, sheetName);
-  return parseSheetData(response, blockConfig);
+  return parseSheetData(response, blockConfig, unit);
 }
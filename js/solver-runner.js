@@ -0,0 +1,106 @@
+// solver-runner.js — Run fleet solving in a Web Worker, with progress and cancellation
+//
+// The solver is synchronous and can take seconds on a large inventory; in a
+// worker the page keeps repainting (loading overlay, 3D view) while it runs.
+// Where module workers are unavailable (older browsers, pages opened from
+// file://) the task runs on the main thread instead, once the overlay has
+// painted — progress is still reported, but cancelling only takes effect
+// before the solve starts.
+
+import { solveFleet, recommendFleet } from './fleet.js';
+import { exploreAlternatives } from './alternatives.js';
+
+const TASKS = { solveFleet, recommendFleet, exploreAlternatives };
+
+// Set once a worker fails to start, so later runs go straight to the fallback
+let workerUnavailable = typeof Worker === 'undefined';
+
+/**
+ * Run solveFleet(), recommendFleet() or exploreAlternatives() without blocking the page.
+ *
+ * @param {'solveFleet'|'recommendFleet'|'exploreAlternatives'} fn
+ * @param {Array} args — [cases, trucks|profiles, options]; must be structured-cloneable
+ *   (no callbacks in options — use onProgress below)
+ * @param {Object} [run] — { onProgress, signal }
+ *   onProgress: called per solver phase (see solveFleet / recommendFleet / exploreAlternatives)
+ *   signal: AbortSignal — aborting terminates the worker and rejects with an AbortError
+ * @returns {Promise<Object>} — the task's result. Case objects in it are copies,
+ *   not the objects passed in.
+ */
+export function runSolverTask(fn, args, { onProgress, signal } = {}) {
+  if (!TASKS[fn]) return Promise.reject(new Error(`Unknown solver task: ${fn}`));
+  if (signal && signal.aborted) return Promise.reject(solverAbortError());
+  if (workerUnavailable) return runOnMainThread(fn, args, onProgress, signal);
+
+  let worker;
+  try {
+    worker = new Worker(new URL('./solver-worker.js', import.meta.url), { type: 'module' });
+  } catch (err) {
+    console.warn('[Solver] Web Worker unavailable, solving on the main thread:', err.message);
+    workerUnavailable = true;
+    return runOnMainThread(fn, args, onProgress, signal);
+  }
+
+  return new Promise((resolve, reject) => {
+    let started = false;
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      console.log(`[Solver] ${fn} cancelled`);
+      reject(solverAbortError());
+    };
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      started = true;
+      if (msg.type === 'progress') {
+        if (onProgress) onProgress(msg.progress);
+        return;
+      }
+      finish();
+      if (msg.type === 'result') resolve(msg.result);
+      else reject(new Error(msg.message));
+    };
+
+    worker.onerror = (e) => {
+      finish();
+      if (started) {
+        reject(new Error(e.message || 'Solver worker failed'));
+        return;
+      }
+      // The worker script never ran (module workers unsupported, file:// page...)
+      e.preventDefault();
+      console.warn('[Solver] Web Worker failed to start, solving on the main thread:', e.message || '');
+      workerUnavailable = true;
+      runOnMainThread(fn, args, onProgress, signal).then(resolve, reject);
+    };
+
+    worker.postMessage({ fn, args });
+  });
+}
+
+// Fallback: wait for the next paint (so the overlay shows), then solve in place
+function runOnMainThread(fn, args, onProgress, signal) {
+  return new Promise((resolve, reject) => {
+    requestAnimationFrame(() => setTimeout(() => {
+      if (signal && signal.aborted) {
+        reject(solverAbortError());
+        return;
+      }
+      try {
+        const [cases, trucks, options] = args;
+        resolve(TASKS[fn](cases, trucks, { ...options, onProgress }));
+      } catch (err) {
+        reject(err);
+      }
+    }, 0));
+  });
+}
+
+function solverAbortError() {
+  return new DOMException('Solver run cancelled', 'AbortError');
+}
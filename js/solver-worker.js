@@ -0,0 +1,26 @@
+// solver-worker.js — Web Worker entry: runs fleet solving off the main thread
+//
+// Started by solver-runner.js, one worker per run (cancelling terminates it).
+//   in:  { fn: 'solveFleet'|'recommendFleet'|'exploreAlternatives', args: [cases, trucks, options] }
+//   out: { type: 'progress', progress } per solver phase, then
+//        { type: 'result', result } or { type: 'error', message }
+
+import { solveFleet, recommendFleet } from './fleet.js';
+import { exploreAlternatives } from './alternatives.js';
+
+const TASKS = { solveFleet, recommendFleet, exploreAlternatives };
+
+self.onmessage = (e) => {
+  const { fn, args } = e.data;
+  try {
+    const [cases, trucks, options] = args;
+    const result = TASKS[fn](cases, trucks, {
+      ...options,
+      onProgress: progress => self.postMessage({ type: 'progress', progress }),
+    });
+    self.postMessage({ type: 'result', result });
+  } catch (err) {
+    console.error('[Worker] Solver error:', err);
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -1,8 +1,10 @@
 // solver.js — WallPlanner engine (extracted from truck-viewer.html lines ~2112-3146)
 // 5-phase depth-based wall grouping algorithm
 //
-// CRITICAL: This solver logic has been extensively debugged.
-// Only parameterization changes were made — the algorithm is preserved exactly.
+// CRITICAL: This solver logic has been extensively debugged. The depth-based
+// wall grouping is the monolith's; the solver has grown beyond it since (weight
+// checks, lateral wall balancing in Phase 5, ...) — each addition is described
+// where it is defined and in the README's Algorithm section. Change with care.
 //
 // Changes from monolith:
 //   - BLOCK_DIMS lookup → case.width/depth/height directly
@@ -24,33 +26,223 @@ const WP_RELIABILITY = {
   ORPHAN_MIXED: 5,
 };
 
-// Constants (unchanged from original)
-const WP_MIN_FILL = 0.80;
-const WP_GAP_THRESH = 0.95;
+// Tuning: the packing thresholds, overridable per run through config.tuning.
+// Every value is checked against WP_TUNING_RANGES (see resolveTuning).
+export const WP_TUNING_DEFAULTS = {
+  minFill: 0.80,        // walls under this share of the width are weak (consolidated)
+  gapThresh: 0.95,      // full walls under this share of the width get gap-filled
+  depthStrict: 2,       // " — same-department orphan walls, ideal flat face
+  depthRelaxed: 8,      // " — cross-department orphan walls
+  flatFace: 8,          // " — max depth spread of any wall (strapping limit)
+  stageHeightTol: 15,   // " — walls within this height difference share a stage
+  loadBarGap: 2,        // " — spacer between floor panel rows
+  strapSpacing: 0,      // " — securing: 0 = a bar or strap at every wall face, else one every N"
+};
+
+// [min, max] per tuning value
+export const WP_TUNING_RANGES = {
+  minFill: [0.5, 1],
+  gapThresh: [0.5, 1],
+  depthStrict: [0, 12],
+  depthRelaxed: [0, 24],
+  flatFace: [0, 24],
+  stageHeightTol: [0, 60],
+  loadBarGap: [0, 12],
+  strapSpacing: [0, 240],
+};
+
+// Named tuning presets (header selector); values not listed keep the defaults
+export const WP_TUNING_PRESETS = {
+  standard: { label: 'Standard', tuning: {} },
+  strict: {
+    label: 'Strict strapping',
+    tuning: { minFill: 0.85, gapThresh: 0.97, depthStrict: 1, depthRelaxed: 4, flatFace: 4, stageHeightTol: 10 },
+  },
+  density: {
+    label: 'Max density',
+    tuning: { minFill: 0.70, gapThresh: 0.90, depthStrict: 4, depthRelaxed: 12, flatFace: 12, stageHeightTol: 30, loadBarGap: 1 },
+  },
+  mover: {
+    label: 'Mover-style',
+    tuning: { minFill: 0.75, gapThresh: 0.92, depthStrict: 3, depthRelaxed: 10, flatFace: 10, stageHeightTol: 48, strapSpacing: 48 },
+  },
+};
+
+// Weak-wall merge orders (config.variant.mergeOrder): which weak wall picks its partner first
+const WP_MERGE_ORDERS = {
+  widest: (a, b) => b.widthFill - a.widthFill,
+  narrowest: (a, b) => a.widthFill - b.widthFill,
+  deepest: (a, b) => b.depth - a.depth || b.widthFill - a.widthFill,
+};
+
+// Phase 3F local search (config.optimize): default budget — the iteration count ends the
+// run, so a seed always gives the same plan; timeMs is only a safety cap for huge loads
+const WP_OPTIMIZE_DEFAULTS = { iterations: 20000, timeMs: 5000, seed: 1 };
+
+// Securing plan: one row of bars or straps per this much wall height (e-track rows)
+const WP_STRAP_ROW_HEIGHT = 48;
+
+// Void fill: gaps narrower than this are ignored; up to `max` wide, each fill fits
+const WP_VOID_MIN = 2;
+const WP_VOID_FILLS = [
+  { fill: 'blanket', max: 4, label: 'folded moving blanket' },
+  { fill: 'airbag', max: 12, label: 'dunnage airbag' },
+  { fill: 'dunnage', max: Infinity, label: 'dunnage block (foam, lumber or an empty case)' },
+];
+
+// Max Phase 4 score bonus for the heaviest wall (per inch of depth) — 100 pts = 1" of effective height
+const WP_WEIGHT_BONUS = 300;
+
+// Solver phases in run order, reported through config.onProgress
+export const WP_PHASES = [
+  { id: '0', label: 'Split mixed groups' },
+  { id: '1', label: 'Inventory analysis' },
+  { id: '1.5', label: 'Floor panels' },
+  { id: '2', label: 'Full walls' },
+  { id: '2.5', label: 'Gap-fill' },
+  { id: '3A', label: 'Wall recipes' },
+  { id: '3B', label: 'Depth-grouped FFD' },
+  { id: '3C', label: 'Absorb weak walls' },
+  { id: '3D', label: 'Column packing' },
+  { id: '3E', label: 'Mixed stacking' },
+  { id: '3F', label: 'Local search' },
+  { id: '4', label: 'Stability ordering' },
+  { id: '5', label: 'Coordinates' },
+  { id: '5B', label: 'Spillover' },
+];
 
 /**
  * Run the WallPlanner solver.
  *
+ * Every length — case dimensions, pins, truck interior, obstructions, doors,
+ * tuning tolerances — is in inches; the loaders convert other units (units.js).
+ *
  * @param {Object[]} cases — Array of case objects from sheet parser:
- *   { nom, name, width, depth, height, dept, subgroup, group, stackable, maxStack, isFloor, allowRotation, rotation }
+ *   { nom, name, width, depth, height, weight, dept, subgroup, group, stackable, maxStack, isFloor, allowRotation, rotation, stop }
+ *   stop: delivery stop number (1 = first venue, unloaded first → nearest the door); 0/absent = no stop:
+ *     the case stays on for the whole tour, so it loads at the cab end, behind every numbered stop
+ *   canBearLoad: false = nothing may be stacked on this case (default true)
+ *   fragile, topOnly: true = nothing may be stacked on this case either (reported as such)
+ *   maxLoadOnTop: most weight (lb) the case takes from everything stacked above it;
+ *     null/absent = no limit. See caseLoadLimit().
+ *   shape: 'box' (default), 'cylinder-standing' or 'cylinder-lying' — cylinders are packed
+ *     as their bounding box (width/depth/height already bound the cylinder, see shapeBounds),
+ *     are never laid down, and only cases of their own subgroup go on a lying cylinder
+ *   door: 'side' = loaded through the truck's side door (see config.doors); else the rear door
+ *   thisSideUp: false = the case may be laid down — its height swapped with its width or
+ *     depth when that fills the wall better (default true: height always up)
+ *   pin: { x, y, z } — fixed position (inches, cab-end left floor corner of the case);
+ *     pinned cases are placed as given and everything else is packed around them
  * @param {Object} config — Solver configuration:
- *   { truckWidth, truckLength, truckHeight, deptPriority, kbPatterns }
- * @returns {{ placements: Object[], wallSections: Object[] }}
+ *   { truckWidth, truckLength, truckHeight, maxPayload, axles, deptPriority, kbPatterns, onProgress, tuning, variant, optimize,
+ *     preloaded, startY, obstructions, doors }
+ *   doors: door openings (truck profile `doors`) — [{ label, side: 'rear'|'left'|'right', width, height, y? }]
+ *     width × height is the opening; a side door's `y` is its cab-side edge (inches from the cab)
+ *     and `width` runs along the truck. Cases marked door 'side' are planned from the side door:
+ *     walls run along the truck in front of the opening, filled from the far wall toward the door.
+ *   obstructions: space inside the truck no case may use — wheel wells, lift-gate housings,
+ *     reefer units — [{ label, x, y, z, width, depth, height }] (truck profile `obstructions`);
+ *     columns slide past them and walls that can't fit beside one move toward the door
+ *   preloaded: cargo already in the truck, as placements from a saved plan
+ *     ({ name, x, y, z, width, depth, height, weight?, dept?, wall? }) — kept where they are,
+ *     returned with `preloaded: true`, and the new cases are packed into the space left
+ *   startY: depth (inches from the cab) where packing starts — default 0; walls
+ *     that meet pre-loaded or pinned cargo move past it either way
+ *   optimize: run the Phase 3F local search — true, or { iterations, timeMs, seed }
+ *     (see WP_OPTIMIZE_DEFAULTS); off by default
+ *   tuning: optional overrides of WP_TUNING_DEFAULTS (see resolveTuning, WP_TUNING_PRESETS)
+ *   variant: optional alternative decisions, for exploring other plans (see alternatives.js) —
+ *     { rotation: 'best'|'keep'|'flip', mergeOrder: 'widest'|'narrowest'|'deepest' }
+ *     rotation: Phase 3B orphan pools take the best-scoring orientation (default), keep
+ *     their sheet orientation, or take the orientation the scoring passed over
+ *   debug: print the phase-by-phase narration to the console — off by default; the
+ *     trace carries the same decisions. Tuning errors, unplaced cases and violations
+ *     are always reported
+ *   onProgress: optional callback, called as each phase starts with
+ *     { phase, label, step, steps } (see WP_PHASES)
+ *   kbPatterns: wall recipes (config/wall-recipes.json) —
+ *     [{ id, label, columns: [{ group?, w, d, h, stack, x? }] }]
+ * @returns {{ placements: Object[], wallSections: Object[], unplaced: Object[], violations: Object[],
+ *   weight: Object, cog: Object|null, stacking: Object, optimization: Object, securing: Object, voids: Object[], trace: Object }}
+ *   unplaced: [{ case, reason: 'too_long'|'too_wide'|'too_tall'|'no_fit'|'bad_pin', message }]
+ *   violations: [{ type, severity: 'error'|'warning', message, cases: string[], wallId? }]
+ *     type: BOUNDS | HEIGHT | OVERFLOW | OVERLAP | OBSTRUCTION | DOOR | FLAT_FACE | CRUSH | SHAPE | PAYLOAD | AXLE
+ *   stacking: { walls, cases, depth } — Phase 3E mixed stacking: walls dissolved onto
+ *     other columns, cases moved, floor depth gained (inches)
+ *   optimization: { enabled, depth, walls, moves, iterations, ms, capped } — Phase 3F local search:
+ *     floor depth saved (inches), walls emptied, improving moves kept; capped = the timeMs safety
+ *     cap ended the run before its iterations, so the result may differ from run to run
+ *   securing: where the load bars and straps go (see computeSecuringPlan)
+ *   voids: side gaps in partial walls and what fills them (see computeVoids)
+ *   trace: { tuning, tuningErrors, phases: [{ phase, label, inputs, walls, merges, rotations, notes }] } — what each
+ *     phase was given and decided (see WP_PHASES); wallSections carry `origin`, the phase and
+ *     reason that built the wall
  */
 export function wallPlannerSolve(cases, config) {
-  if (!cases.length) return { placements: [], wallSections: [] };
+  if (!cases.length && !(config.preloaded || []).length) {
+    return { placements: [], wallSections: [], unplaced: [], violations: [], weight: computeLoadWeight([], config), cog: null, stacking: { walls: 0, cases: 0, depth: 0 }, optimization: { enabled: false, depth: 0, walls: 0, moves: 0, iterations: 0, ms: 0, capped: false }, securing: computeSecuringPlan([], config), voids: [], trace: { phases: [] } };
+  }
 
   const WP_TRUCK_WIDTH = config.truckWidth || 98;
+  const WP_TRUCK_LENGTH = config.truckLength || Infinity;
+  const WP_TRUCK_HEIGHT = config.truckHeight || Infinity;
+  const { tuning, errors: tuningErrors } = resolveTuning(config.tuning);
+  const {
+    minFill: WP_MIN_FILL, gapThresh: WP_GAP_THRESH,
+    depthStrict: WP_DEPTH_STRICT, depthRelaxed: WP_DEPTH_RELAXED, flatFace: WP_FLAT_FACE,
+    stageHeightTol: WP_STAGE_HEIGHT_TOL, loadBarGap: WP_LOADBAR_GAP,
+  } = tuning;
+  for (const e of tuningErrors) console.warn(`[WallPlanner] Tuning: ${e}`);
   const deptPriority = config.deptPriority || {};
   const kbPatterns = config.kbPatterns || [];
+  const variant = config.variant || {};
+  const mergeOrder = WP_MERGE_ORDERS[variant.mergeOrder] || WP_MERGE_ORDERS.widest;
   const wallSections = [];
 
+  // Solver trace (result.trace): one entry per phase with what it was given and
+  // what it decided — walls built, merges, rotations, notes. The trace is what the
+  // Solver report panel shows; the phase-by-phase console narration only prints
+  // with config.debug.
+  const trace = { tuning, tuningErrors, phases: [] };
+  const wpLog = config.debug ? console.log : () => {};
+  const wpWarn = config.debug ? console.warn : () => {};
+
+  // Helper: start the trace entry of the phase about to run and report progress
+  function wpProgress(phase) {
+    const step = WP_PHASES.findIndex(p => p.id === phase);
+    trace.phases.push({
+      phase, label: WP_PHASES[step].label,
+      inputs: {}, walls: [], merges: [], rotations: [], notes: [],
+    });
+    if (config.onProgress) {
+      config.onProgress({ phase, label: WP_PHASES[step].label, step: step + 1, steps: WP_PHASES.length });
+    }
+  }
+
+  // Helper: trace entry of the running phase
+  function wpTrace() {
+    return trace.phases[trace.phases.length - 1];
+  }
+
+  // Helper: record a wall built by the running phase; wall.origin explains it later
+  function wpTraceWall(wall, reason) {
+    const { phase } = wpTrace();
+    wall.origin = `Phase ${phase}: ${reason}`;
+    wpTrace().walls.push({
+      label: wall.subgroups.join(' + '),
+      reason,
+      cases: wall.items.reduce((n, it) => n + it.cases.length, 0),
+      fillPct: Math.round((wall.widthFill / WP_TRUCK_WIDTH) * 100),
+      depth: Math.round(wall.depth),
+    });
+  }
+
   // Helper: get dept for a group name (handles suffixed split names like "Alpha (34x34)")
   function wpGetDept(sg) {
     // Look up dept from cases with this group
     const c = cases.find(c => c.group === sg || c.subgroup === sg);
     if (c) return c.dept || 'GENERAL';
-    const base = sg.replace(/\s*\(\d+x\d+\)$/, '');
+    const base = sg.replace(/\s*\(\d+x\d+\)$/, '').replace(/ \[stop \d+\]/, '');
     const cb = cases.find(c => c.group === base || c.subgroup === base);
     return cb ? (cb.dept || 'GENERAL') : 'GENERAL';
   }
@@ -65,29 +257,143 @@ export function wallPlannerSolve(cases, config) {
     return Object.entries(deptCount).sort((a, b) => b[1] - a[1])[0][0];
   }
 
+  // Delivery stop per inventory group name (filled in Phase 0). Walls never mix
+  // stops, so a wall's stop is the stop of any of its groups.
+  const wpSgStop = {};
+  function wpStopOf(sg) {
+    return wpSgStop[sg] || 0;
+  }
+  function wpWallStop(wall) {
+    return wall._isLoadBar ? (wall._stop || 0) : wpStopOf(wall.subgroups[0]);
+  }
+  // Sort stops cab end first: no stop (0), then the last stop down to stop 1 at the door
+  function wpStopsCabFirst(a, b) {
+    const rank = stop => stop || Number.MAX_SAFE_INTEGER;
+    return rank(b) - rank(a);
+  }
+
   // Helper: pick best rotation for orphan/gap-fill packing
   function wpBestRotation(caseObj) {
+    const up = wpBestUpright(caseObj);
+    if (caseObj.thisSideUp !== false || !isFinite(WP_TRUCK_HEIGHT)) return up;
+
+    // Laid down: keep it only when the wall face (width × stacked height) fills better
+    let best = up, bestFill = wpFaceFill(caseObj, up);
+    for (const o of wpTippedOrientations(caseObj)) {
+      if (o.d > WP_TRUCK_LENGTH + 0.5) continue;
+      const fill = wpFaceFill(caseObj, o);
+      if (fill > bestFill + 0.01) {
+        best = o;
+        bestFill = fill;
+      }
+    }
+    return best;
+  }
+
+  // Helper: height-up orientation that fills the width best (90° around the vertical axis)
+  function wpBestUpright(caseObj) {
     const allowRot = caseObj.allowRotation !== false;
-    const w = caseObj.width, d = caseObj.depth, rot = caseObj.rotation || 0;
-    if (!allowRot || Math.abs(w - d) < 0.5) return { w, d, rot };
+    const w = caseObj.width, d = caseObj.depth, h = caseObj.height, rot = caseObj.rotation || 0;
+    if (!allowRot || Math.abs(w - d) < 0.5) return { w, d, h, rot, tip: '' };
     const iprDef = Math.floor(WP_TRUCK_WIDTH / w);
     const fillDef = iprDef * w;
     const rW = d, rD = w, rRot = (rot + 90) % 360;
     const iprRot = Math.floor(WP_TRUCK_WIDTH / rW);
     const fillRot = iprRot * rW;
     if (fillRot > fillDef + 0.5 || (Math.abs(fillRot - fillDef) < 0.5 && iprRot > iprDef))
-      return { w: rW, d: rD, rot: rRot };
-    return { w, d, rot };
+      return { w: rW, d: rD, h, rot: rRot, tip: '' };
+    return { w, d, h, rot, tip: '' };
+  }
+
+  // Helper: laid-down orientations — tip 'width' stands the case on its width (height
+  // now horizontal), tip 'depth' on its depth; without allowRotation the sheet depth
+  // stays along the truck where it can
+  function wpTippedOrientations(caseObj) {
+    // A cylinder's bounding box only holds in its own orientation
+    if (caseObj.shape && caseObj.shape !== 'box') return [];
+    const { width: w, depth: d, height: h } = caseObj;
+    const rot = caseObj.rotation || 0;
+    const out = [{ w: h, d, h: w, rot, tip: 'width' }, { w, d: h, h: d, rot, tip: 'depth' }];
+    if (caseObj.allowRotation !== false) {
+      out.push({ w: d, d: h, h: w, rot: (rot + 90) % 360, tip: 'width' });
+      out.push({ w: h, d: w, h: d, rot: (rot + 90) % 360, tip: 'depth' });
+    }
+    return out;
+  }
+
+  // Helper: share of the wall face (truck width × height) a full row of stacks fills
+  function wpFaceFill(caseObj, o) {
+    if (o.w > WP_TRUCK_WIDTH + 0.5 || o.h > WP_TRUCK_HEIGHT + 0.5) return 0;
+    const perRow = Math.floor((WP_TRUCK_WIDTH + 0.5) / o.w);
+    const stack = caseObj.stackable
+      ? Math.max(1, Math.min(caseObj.maxStack || 1, wpCrushCap([caseObj]), Math.floor((WP_TRUCK_HEIGHT + 0.5) / o.h)))
+      : 1;
+    return (perRow * o.w * stack * o.h) / (WP_TRUCK_WIDTH * WP_TRUCK_HEIGHT);
   }
 
-  // Helper: resolve stacking from case object
-  function wpResolveStacking(caseObj) {
+  // Helper: most identical cases one stack may hold before its bottom case is
+  // crushed — 1 when any of them takes no load at all, else max_load_on_top over
+  // the heaviest case's weight (Infinity when nothing limits it)
+  function wpCrushCap(groupCases) {
+    const heaviest = Math.max(0, ...groupCases.map(c => c.weight || 0));
+    let cap = Infinity;
+    for (const c of groupCases) {
+      const limit = caseLoadLimit(c);
+      if (limit === 0) return 1;
+      if (isFinite(limit) && heaviest > 0) cap = Math.min(cap, 1 + Math.floor(limit / heaviest));
+    }
+    return cap;
+  }
+
+  // Helper: resolve stacking from case object, capped by crush limits and the interior height
+  // (height: the case's height as placed — laid-down cases stack on their side;
+  // groupCases: every case that will share the stacks, for weights and load limits)
+  function wpResolveStacking(caseObj, height = caseObj.height, groupCases = [caseObj]) {
+    let maxStack = caseObj.maxStack || 1;
+    const crush = wpCrushCap(groupCases);
+    if (crush < maxStack) {
+      // A case that takes no load never has anything on top, not even its twin
+      if (groupCases.every(c => caseLoadLimit(c) > 0)) {
+        const limit = Math.min(...groupCases.map(caseLoadLimit));
+        const heaviest = Math.max(...groupCases.map(c => c.weight || 0));
+        const msg = `Crush cap: "${caseObj.subgroup || caseObj.group || caseObj.nom}" max_stack ${maxStack} → ${crush} (the bottom case takes ${limit} lb max_load_on_top, each case weighs ${heaviest} lb)`;
+        wpLog(`[WallPlanner] ${msg}`);
+        wpTrace().notes.push(msg);
+      }
+      maxStack = crush;
+    }
+    if (height > 0) {
+      const fit = Math.max(1, Math.floor((WP_TRUCK_HEIGHT + 0.5) / height));
+      if (fit < maxStack) {
+        const msg = `Stack cap: "${caseObj.subgroup || caseObj.group || caseObj.nom}" max_stack ${maxStack} → ${fit} (${height}" × ${maxStack} > ${WP_TRUCK_HEIGHT}" interior height)`;
+        wpLog(`[WallPlanner] ${msg}`);
+        wpTrace().notes.push(msg);
+        maxStack = fit;
+      }
+    }
     return {
       stackable: caseObj.stackable || false,
-      maxStack: caseObj.maxStack || 1,
+      maxStack,
     };
   }
 
+  // Helper: every case of a column, its own stack first, then Phase 3E toppers
+  function wpItemCases(item) {
+    return item.toppers ? item.cases.concat(...item.toppers.map(t => t.cases)) : item.cases;
+  }
+
+  // Helper: total case weight of a wall (lb)
+  function wpWallWeight(w) {
+    let total = 0;
+    for (const item of w.items || []) {
+      for (const c of wpItemCases(item)) total += c.weight || 0;
+    }
+    return total;
+  }
+
+  // Heaviest wall weight per inch of depth among sortable walls (set in Phase 4)
+  let wpMaxWallDensity = 0;
+
   // Helper: wall score for sorting (Phase 4)
   // Lower score = closer to cab (fond). Cab-end walls must be flat, full-width, tall.
   function wpWallScore(w) {
@@ -112,9 +418,75 @@ export function wallPlannerSolve(cases, config) {
     if (w.items && w.items.length <= 2 && fillRatio < 0.90) score += 2000;
     // Very weak walls (<50% fill) always go near the door
     if (fillRatio < 0.50) score += 5000;
+    // Weight bonus: dense walls toward cab keep the longitudinal CoG ahead of the rear axle
+    if (wpMaxWallDensity > 0) {
+      const density = wpWallWeight(w) / Math.max(w.depth, 1);
+      score -= Math.round((density / wpMaxWallDensity) * WP_WEIGHT_BONUS);
+    }
     return score;
   }
 
+  // Helper: mirror a wall's columns against the right-hand wall when that
+  // reduces the running lateral moment — otherwise every wall is packed from
+  // x = 0 and heavy columns all end up against the left wall.
+  let lateralMoment = 0;
+  function wpBalanceWall(wallPlacements) {
+    const half = WP_TRUCK_WIDTH / 2;
+    const moment = wallPlacements.reduce((s, p) => s + (p.weight || 0) * (p.x + p.width / 2 - half), 0);
+    const mirror = Math.abs(lateralMoment - moment) + 0.5 < Math.abs(lateralMoment + moment) &&
+      !wallPlacements.some(p => wpPinHit(WP_TRUCK_WIDTH - p.x - p.width, p.y, p.width, p.depth, p.height, p.z));
+    if (mirror) {
+      for (const p of wallPlacements) p.x = WP_TRUCK_WIDTH - p.x - p.width;
+    }
+    lateralMoment += mirror ? -moment : moment;
+    return mirror;
+  }
+
+  // Truck obstructions, pre-loaded cargo and pinned cases, as boxes the packing
+  // keeps clear of (filled by the pre-check)
+  const pinnedBoxes = [];
+
+  // Helper: first pinned box overlapping the box at (x, y, z) of size w × d × h, or null
+  function wpPinHit(x, y, w, d, h, z = 0) {
+    const eps = 0.01;
+    return pinnedBoxes.find(b =>
+      x < b.x + b.w - eps && x + w > b.x + eps &&
+      y < b.y + b.d - eps && y + d > b.y + eps &&
+      z < b.z + b.h - eps && z + h > b.z + eps) || null;
+  }
+
+  // Helper: first x ≥ x0 where a floor column (w × d, h high) at depth y clears every pin
+  function wpClearX(x0, y, w, d, h) {
+    let x = x0, hit;
+    while ((hit = wpPinHit(x, y, w, d, h))) x = hit.x + hit.w;
+    return x;
+  }
+
+  // Helper: first y ≥ y0 where columns [{ w, d, h }], laid left to right around the
+  // pins, fit the width — y0 itself when nothing is in the way. A narrower wall
+  // is accepted when the columns that fit still fill WP_MIN_FILL of the width the
+  // boxes leave free (between wheel wells, say); the rest spill over in Phase 5.
+  function wpClearY(y0, columns) {
+    const depth = Math.max(...columns.map(c => c.d));
+    const height = Math.max(...columns.map(c => c.h));
+    let y = y0;
+    for (;;) {
+      const band = pinnedBoxes.filter(b => b.y < y + depth - 0.01 && b.y + b.d > y + 0.01);
+      if (!band.length) return y;
+      let x = 0, fitted = 0, all = true;
+      for (const c of columns) {
+        const cx = wpClearX(x, y, c.w, c.d, c.h);
+        if (cx + c.w > WP_TRUCK_WIDTH + 0.5) { all = false; continue; }
+        x = cx + c.w;
+        fitted += c.w;
+      }
+      if (all) return y;
+      const blocked = band.filter(b => b.z < height).reduce((sum, b) => sum + b.w, 0);
+      if (fitted > 0 && fitted >= WP_MIN_FILL * Math.max(0, WP_TRUCK_WIDTH - blocked)) return y;
+      y = Math.min(...band.map(b => b.y + b.d));
+    }
+  }
+
   // Helper: merge weak walls
   function wpMergeWeakWalls(walls) {
     if (!walls.length) return walls;
@@ -124,7 +496,7 @@ export function wallPlannerSolve(cases, config) {
 
     for (let pass = 0; pass < 2; pass++) {
       const allowCrossDept = (pass === 1);
-      weak.sort((a, b) => b.widthFill - a.widthFill);
+      weak.sort(mergeOrder);
       const merged = [];
       const used = new Set();
 
@@ -140,7 +512,8 @@ export function wallPlannerSolve(cases, config) {
           for (let j = i + 1; j < weak.length; j++) {
             if (used.has(j)) continue;
             if (!allowCrossDept && wpWallDept(weak[j]) !== wpWallDept(current)) continue;
-            if (Math.abs(current.depth - weak[j].depth) > 8) continue;
+            if (wpWallStop(weak[j]) !== wpWallStop(current)) continue;
+            if (Math.abs(current.depth - weak[j].depth) > WP_FLAT_FACE) continue;
             const combined = current.widthFill + weak[j].widthFill;
             if (combined <= WP_TRUCK_WIDTH + 0.5 && combined > bestFill) {
               bestFill = combined;
@@ -153,6 +526,7 @@ export function wallPlannerSolve(cases, config) {
             for (const item of wb.items) item.xOff += current.widthFill;
             const items = current.items.concat(wb.items);
             const heights = items.map(it => it.stackedH);
+            const from = [current.subgroups.join(' + '), wb.subgroups.join(' + ')];
             current = {
               items, widthFill: current.widthFill + wb.widthFill,
               maxHeight: Math.max(...heights), depth: Math.max(current.depth, wb.depth),
@@ -161,6 +535,12 @@ export function wallPlannerSolve(cases, config) {
               reliability: allowCrossDept ? WP_RELIABILITY.ORPHAN_MIXED :
                 Math.max(current.reliability || WP_RELIABILITY.ORPHAN_SAME_DEPT, wb.reliability || WP_RELIABILITY.ORPHAN_SAME_DEPT),
             };
+            const reason = allowCrossDept ? 'weak walls merged across departments' : 'weak walls of one department merged';
+            current.origin = `Phase ${wpTrace().phase}: ${reason}`;
+            wpTrace().merges.push({
+              from, into: current.subgroups.join(' + '), reason,
+              fillPct: Math.round((current.widthFill / WP_TRUCK_WIDTH) * 100),
+            });
             changed = true;
           }
         }
@@ -169,19 +549,102 @@ export function wallPlannerSolve(cases, config) {
       weak = merged;
     }
     const mergeCount = walls.length - strong.length - weak.length;
-    if (mergeCount > 0) console.log(`[WallPlanner] Merged ${mergeCount} weak walls (${walls.length - strong.length} → ${weak.length})`);
+    if (mergeCount > 0) wpLog(`[WallPlanner] Merged ${mergeCount} weak walls (${walls.length - strong.length} → ${weak.length})`);
     return strong.concat(weak);
   }
 
+  // ── Pre-check: reject cases that cannot fit in the truck in any allowed orientation ──
+  const unplaced = [];
+  const packable = [];
+  const pinnedCases = [];
+  const sideCases = [];
+  const sideDoor = (config.doors || []).find(d => d.side === 'left' || d.side === 'right') || null;
+  // Pre-loaded cargo is already in the truck: it is never rejected, only packed around
+  const preloaded = config.preloaded || [];
+  const obstructions = config.obstructions || [];
+  for (const o of obstructions) {
+    pinnedBoxes.push({ x: o.x, y: o.y, z: o.z || 0, w: o.width, d: o.depth, h: o.height, name: o.label || 'obstruction' });
+  }
+  for (const p of preloaded) {
+    pinnedBoxes.push({ x: p.x, y: p.y, z: p.z || 0, w: p.width, d: p.depth, h: p.height, name: p.name });
+  }
+  for (const c of cases) {
+    if (c.pin) {
+      // Pinned: must sit inside the truck and clear of the other pins
+      const box = { x: c.pin.x, y: c.pin.y, z: c.pin.z || 0, w: c.width, d: c.depth, h: c.height };
+      const inside = box.x >= -0.5 && box.y >= -0.5 && box.z >= -0.5 &&
+        box.x + box.w <= WP_TRUCK_WIDTH + 0.5 && box.y + box.d <= WP_TRUCK_LENGTH + 0.5 &&
+        box.z + box.h <= WP_TRUCK_HEIGHT + 0.5;
+      const clash = inside && wpPinHit(box.x, box.y, box.w, box.d, box.h, box.z);
+      if (!inside) {
+        unplaced.push({ case: c, reason: 'bad_pin', message: `pinned at ${box.x}, ${box.y}, ${box.z} — ${box.w}×${box.d}×${box.h}" reaches outside the truck interior` });
+      } else if (clash) {
+        unplaced.push({ case: c, reason: 'bad_pin', message: `pinned at ${box.x}, ${box.y}, ${box.z} — overlaps "${clash.name}"` });
+      } else {
+        pinnedBoxes.push({ ...box, name: c.name || c.nom });
+        pinnedCases.push(c);
+      }
+      continue;
+    }
+    const orients = [{ w: c.width, d: c.depth, h: c.height }];
+    if (c.allowRotation !== false) orients.push({ w: c.depth, d: c.width, h: c.height });
+    if (c.thisSideUp === false) orients.push(...wpTippedOrientations(c));
+    const lowest = Math.min(...orients.map(o => o.h));
+    const standing = orients.filter(o => o.h <= WP_TRUCK_HEIGHT + 0.5);
+    if (!standing.length) {
+      unplaced.push({ case: c, reason: 'too_tall', message: `${lowest}" tall > ${WP_TRUCK_HEIGHT}" interior height (${Math.round(lowest - WP_TRUCK_HEIGHT)}" too tall, even unstacked${c.thisSideUp === false ? ' or laid down' : ''})` });
+    } else if (standing.every(o => o.w > WP_TRUCK_WIDTH + 0.5)) {
+      unplaced.push({ case: c, reason: 'too_wide', message: `${Math.min(...standing.map(o => o.w))}" wide > ${WP_TRUCK_WIDTH}" interior width` });
+    } else if (!standing.some(o => o.w <= WP_TRUCK_WIDTH + 0.5 && o.d <= WP_TRUCK_LENGTH + 0.5)) {
+      // Shortest length the case could take (turned or laid down) and still fit the width
+      const shortest = Math.min(...standing.filter(o => o.w <= WP_TRUCK_WIDTH + 0.5).map(o => o.d));
+      unplaced.push({ case: c, reason: 'too_long', message: `${shortest}" deep > ${WP_TRUCK_LENGTH}" interior length` });
+    } else if (c.door === 'side' && sideDoor) {
+      sideCases.push(c);
+    } else {
+      packable.push(c);
+    }
+  }
+  const sideless = cases.filter(c => c.door === 'side' && !c.pin).length - sideCases.length;
+  if (!sideDoor && sideless > 0) {
+    wpWarn(`[WallPlanner] Pre-check: ${sideless} cases marked for the side door, but this truck has none → rear door`);
+  }
+  if (unplaced.length) {
+    wpWarn(`[WallPlanner] Pre-check: ${unplaced.length} cases cannot fit this truck: ${unplaced.map(u => `${u.case.name || u.case.nom} (${u.reason})`).join(', ')}`);
+  }
+  if (obstructions.length) wpLog(`[WallPlanner] Pre-check: ${obstructions.length} truck obstructions (${obstructions.map(o => o.label || '?').join(', ')})`);
+  if (preloaded.length) wpLog(`[WallPlanner] Pre-check: ${preloaded.length} pre-loaded cases, packing the remaining space`);
+  if (pinnedCases.length) wpLog(`[WallPlanner] Pre-check: ${pinnedCases.length} pinned cases, packing around them`);
+
   // ── Phase 0: Split Mixed Subgroups ──
-  // Group cases by subgroup, then split groups with mixed dimensions
+  wpProgress('0');
+  wpTrace().inputs = { cases: cases.length, packable: packable.length, pinned: pinnedCases.length, preloaded: preloaded.length, obstructions: obstructions.length, rejected: unplaced.length };
+  for (const u of unplaced) wpTrace().notes.push(`"${u.case.name || u.case.nom}" set aside before packing: ${u.message}`);
+  // Group cases by subgroup (and delivery stop), then split groups with mixed dimensions
   const sgGroups = {};
-  for (const c of cases) {
+  const sgStops = {};
+  for (const c of packable) {
     const sg = c.group || c.subgroup || c.nom;
+    if (!sgStops[sg]) sgStops[sg] = new Set();
+    sgStops[sg].add(c.stop || 0);
+  }
+  for (const c of packable) {
+    const base = c.group || c.subgroup || c.nom;
+    const stop = c.stop || 0;
+    // A group delivered to several stops becomes one group per stop
+    const sg = sgStops[base].size > 1 ? `${base} [stop ${stop}]` : base;
     if (!sgGroups[sg]) sgGroups[sg] = [];
     sgGroups[sg].push(c);
   }
 
+  // Laid-down cases (thisSideUp: false) → the side they rest on ('width' | 'depth'), for Phase 5
+  const wpTipOf = new Map();
+  function wpNoteTip(sg, groupCases, best) {
+    if (!best.tip) return;
+    for (const c of groupCases) wpTipOf.set(c, best.tip);
+    wpTrace().rotations.push({ group: sg, from: `${groupCases[0].width}×${groupCases[0].depth}×${groupCases[0].height}`, to: `${best.w}×${best.d}×${best.h}`, reason: `laid on its ${best.tip} — fills the wall face better than upright` });
+  }
+
   // Split groups where cases have different dimensions (mixed subgroups)
   const inventories = [];
   for (const [sg, grp] of Object.entries(sgGroups)) {
@@ -195,33 +658,38 @@ export function wallPlannerSolve(cases, config) {
     const keys = Object.keys(dimGroups);
     if (keys.length === 1) {
       const dg = dimGroups[keys[0]];
-      const stacking = wpResolveStacking(grp[0]);
       const best = wpBestRotation(grp[0]);
+      const stacking = wpResolveStacking(grp[0], best.h, dg.cases);
+      wpSgStop[sg] = grp[0].stop || 0;
+      wpNoteTip(sg, dg.cases, best);
       inventories.push({
         sg, blockName: grp[0].block_name || sg,
-        w: best.w, d: best.d, h: dg.h,
+        w: best.w, d: best.d, h: best.h,
         rot: best.rot,
         stackable: stacking.stackable,
         maxStack: stacking.maxStack,
-        stackedH: dg.h * stacking.maxStack,
+        stackedH: best.h * stacking.maxStack,
         cases: dg.cases.slice(),
         dept: grp[0].dept,
         isFloor: grp[0].isFloor || false,
         allowRotation: grp[0].allowRotation !== false,
       });
     } else {
-      console.log(`[WallPlanner] Phase 0: splitting "${sg}" into ${keys.length} dimension groups`);
+      wpLog(`[WallPlanner] Phase 0: splitting "${sg}" into ${keys.length} dimension groups`);
+      wpTrace().notes.push(`"${sg}" holds ${keys.length} different sizes (${keys.join(', ')}) → split into one group per size`);
       for (const [key, dg] of Object.entries(dimGroups)) {
         const splitName = `${sg} (${key.replace(/x/g, 'x')})`;
-        const stacking = wpResolveStacking(dg.cases[0]);
+        wpSgStop[splitName] = grp[0].stop || 0;
         const best = wpBestRotation(dg.cases[0]);
+        const stacking = wpResolveStacking(dg.cases[0], best.h, dg.cases);
+        wpNoteTip(splitName, dg.cases, best);
         inventories.push({
           sg: splitName, blockName: dg.cases[0].block_name || sg,
-          w: best.w, d: best.d, h: dg.h,
+          w: best.w, d: best.d, h: best.h,
           rot: best.rot,
           stackable: stacking.stackable,
           maxStack: stacking.maxStack,
-          stackedH: dg.h * stacking.maxStack,
+          stackedH: best.h * stacking.maxStack,
           cases: dg.cases.slice(),
           dept: dg.cases[0].dept,
           isFloor: dg.cases[0].isFloor || false,
@@ -232,29 +700,36 @@ export function wallPlannerSolve(cases, config) {
   }
 
   // ── Phase 1: Inventory Analysis ──
-  console.log(`[WallPlanner] Phase 1: ${inventories.length} inventory groups from ${cases.length} cases`);
+  wpProgress('1');
+  wpLog(`[WallPlanner] Phase 1: ${inventories.length} inventory groups from ${packable.length} cases`);
+  wpTrace().inputs = { groups: [] };
   for (const inv of inventories) {
     const itemsPerRow = Math.max(1, Math.floor(WP_TRUCK_WIDTH / inv.w));
     const rows = Math.ceil(inv.cases.length / (itemsPerRow * inv.maxStack));
     inv.idealRows = rows;
     inv.itemsPerRow = itemsPerRow;
-    console.log(`  ${inv.sg}: ${inv.cases.length} cases, ${inv.w}×${inv.d}×${inv.h}", ${itemsPerRow}/row, stack=${inv.maxStack}, rows=${rows}, floor=${inv.isFloor}`);
+    wpLog(`  ${inv.sg}: ${inv.cases.length} cases, ${inv.w}×${inv.d}×${inv.h}", ${itemsPerRow}/row, stack=${inv.maxStack}, rows=${rows}, floor=${inv.isFloor}`);
+    wpTrace().inputs.groups.push({
+      group: inv.sg, cases: inv.cases.length, size: `${inv.w}×${inv.d}×${inv.h}`, rotation: inv.rot || 0,
+      perRow: itemsPerRow, maxStack: inv.maxStack, rows, floor: inv.isFloor,
+    });
   }
 
   // ── Phase 1.5: Floor Panels ──
+  wpProgress('1.5');
   const floorInvs = inventories.filter(inv => inv.isFloor);
   const floorWalls = [];
-  const WP_LOADBAR_GAP = 2;
+  wpTrace().inputs = { groups: floorInvs.length, cases: floorInvs.reduce((n, inv) => n + inv.cases.length, 0) };
 
   if (floorInvs.length > 0) {
-    console.log(`[WallPlanner] Phase 1.5: ${floorInvs.length} floor panel groups`);
+    wpLog(`[WallPlanner] Phase 1.5: ${floorInvs.length} floor panel groups`);
     for (const fInv of floorInvs) {
       const fw = fInv.w, fd = fInv.d, fh = fInv.h;
       const perRow = Math.floor(WP_TRUCK_WIDTH / fw);
       while (fInv.cases.length > 0) {
         const wall = {
           items: [], widthFill: 0, maxHeight: fh, depth: fd, isFlatTop: true,
-          subgroups: [fInv.sg], reliability: WP_RELIABILITY.FULL_WALL,
+          subgroups: [fInv.sg], reliability: WP_RELIABILITY.FULL_WALL, isFloor: true,
         };
         let x = 0;
         for (let col = 0; col < perRow && fInv.cases.length > 0; col++) {
@@ -267,21 +742,25 @@ export function wallPlannerSolve(cases, config) {
         }
         wall.widthFill = x;
         floorWalls.push(wall);
+        wpTraceWall(wall, `floor panels, ${wall.items.length} across`);
         // Load bar spacer between floor rows
         if (fInv.cases.length > 0) {
           floorWalls.push({
             _isLoadBar: true,
             items: [], widthFill: 0, maxHeight: 0, depth: WP_LOADBAR_GAP,
             isFlatTop: true, subgroups: ['LOADBAR'],
-            reliability: WP_RELIABILITY.FULL_WALL,
+            reliability: WP_RELIABILITY.FULL_WALL, _stop: wpStopOf(fInv.sg),
           });
         }
       }
     }
-    console.log(`[WallPlanner] Phase 1.5: ${floorWalls.filter(w => !w._isLoadBar).length} floor walls`);
+    wpLog(`[WallPlanner] Phase 1.5: ${floorWalls.filter(w => !w._isLoadBar).length} floor walls`);
+    const bars = floorWalls.filter(w => w._isLoadBar).length;
+    if (bars) wpTrace().notes.push(`${bars} load bars (${WP_LOADBAR_GAP}") between floor panel rows`);
   }
 
   // ── Phase 2: Build Full Walls (single-group grids) ──
+  wpProgress('2');
   const fullWalls = [];
   const orphanPools = [];
 
@@ -333,9 +812,11 @@ export function wallPlannerSolve(cases, config) {
             oWall.reliability = WP_RELIABILITY.ORPHAN_SAME_DEPT;
           }
           fullWalls.push(oWall);
+          wpTraceWall(oWall, `continued grid of ${inv.sg} (${oWall.items.length} columns)`);
         }
       } else {
         // Too few leftovers → orphan pool for consolidation
+        wpTrace().notes.push(`${inv.cases.length} leftover ${inv.sg} cases → orphan pool (too few for another wall)`);
         orphanPools.push({
           sg: inv.sg, blockName: inv.blockName,
           w: inv.w, d: inv.d, h: inv.h,
@@ -350,6 +831,7 @@ export function wallPlannerSolve(cases, config) {
     }
     // If this wall is too weak (< 80% fill), send its items to orphan pool for consolidation
     if (wall.widthFill / WP_TRUCK_WIDTH < WP_MIN_FILL) {
+      wpTrace().notes.push(`${inv.sg}: a single-group wall would fill ${Math.round(wall.widthFill / WP_TRUCK_WIDTH * 100)}% of the width (< ${Math.round(WP_MIN_FILL * 100)}%) → orphan pool`);
       orphanPools.push({
         sg: inv.sg, blockName: inv.blockName,
         w: inv.w, d: inv.d, h: inv.h,
@@ -362,22 +844,28 @@ export function wallPlannerSolve(cases, config) {
       });
     } else {
       fullWalls.push(wall);
+      wpTraceWall(wall, `full grid of ${inv.sg} (${wall.items.length} columns)`);
     }
   }
 
-  console.log(`[WallPlanner] Phase 2: ${fullWalls.length} full walls, ${orphanPools.length} orphan pools (${orphanPools.reduce((s, p) => s + p.cases.length, 0)} cases)`);
+  wpLog(`[WallPlanner] Phase 2: ${fullWalls.length} full walls, ${orphanPools.length} orphan pools (${orphanPools.reduce((s, p) => s + p.cases.length, 0)} cases)`);
+  wpTrace().inputs = { groups: inventories.filter(inv => !inv.isFloor).length };
 
   // ── Phase 2.5: Gap-fill orphans into full walls with gaps ──
+  wpProgress('2.5');
+  wpTrace().inputs = { walls: fullWalls.length, orphanCases: orphanPools.reduce((s, p) => s + p.cases.length, 0) };
   for (const wall of fullWalls) {
     const fillRatio = wall.widthFill / WP_TRUCK_WIDTH;
     if (fillRatio >= WP_GAP_THRESH) continue;
     let gap = WP_TRUCK_WIDTH - wall.widthFill;
     const wallDept = wpGetDept(wall.subgroups[0]);
+    const wallStop = wpWallStop(wall);
     const itemsBefore = wall.items.length;
 
     for (const pool of orphanPools) {
       if (pool.cases.length === 0 || wpGetDept(pool.sg) !== wallDept) continue;
-      if (Math.abs(wall.depth - pool.d) > 8) continue;
+      if (wpStopOf(pool.sg) !== wallStop) continue;
+      if (Math.abs(wall.depth - pool.d) > WP_FLAT_FACE) continue;
 
       while (pool.cases.length > 0 && gap >= pool.w - 0.5) {
         const stack = Math.min(pool.maxStack, pool.cases.length);
@@ -394,26 +882,121 @@ export function wallPlannerSolve(cases, config) {
         if (!wall.subgroups.includes(pool.sg)) wall.subgroups.push(pool.sg);
       }
     }
-    if (wall.items.length > itemsBefore) wall.reliability = WP_RELIABILITY.TIGHT_FIT;
+    if (wall.items.length > itemsBefore) {
+      wall.reliability = WP_RELIABILITY.TIGHT_FIT;
+      const added = [...new Set(wall.items.slice(itemsBefore).map(it => it.sg))];
+      wall.origin += `, gaps filled with ${added.join(', ')}`;
+      wpTrace().merges.push({
+        from: added, into: wall.subgroups.join(' + '), reason: 'orphans fitted into the gap of a full wall',
+        fillPct: Math.round((wall.widthFill / WP_TRUCK_WIDTH) * 100),
+      });
+    }
   }
 
   // ── Phase 3A: KB Recipe Matching ──
+  // A recipe is a proven wall: columns of (group, w×d×h, stack) left to right.
+  // Each time the orphan pools hold every column of a recipe (same stop),
+  // build that wall exactly as recorded, before FFD gets to the leftovers.
+  wpProgress('3A');
   const kbWalls = [];
+  wpTrace().inputs = { recipes: kbPatterns.length, orphanCases: orphanPools.reduce((s, p) => s + p.cases.length, 0) };
   if (kbPatterns.length > 0) {
-    console.log(`[WallPlanner] Phase 3A: ${kbPatterns.length} KB patterns available`);
-    // KB recipe matching logic would go here
-    // Skipped in universal mode (kbPatterns = [])
+    wpLog(`[WallPlanner] Phase 3A: ${kbPatterns.length} KB patterns available`);
+    const near = (a, b) => Math.abs(a - b) <= 0.5;
+    const poolGroup = pool => {
+      const c = pool.cases[0];
+      return String(c.group || c.subgroup || c.nom || '').trim().toLowerCase();
+    };
+    // Orientation of a pool that matches a recipe column (null = no match)
+    const columnFit = (col, pool) => {
+      if (col.group && String(col.group).trim().toLowerCase() !== poolGroup(pool)) return null;
+      if (!near(col.h, pool.h)) return null;
+      if (near(col.w, pool.w) && near(col.d, pool.d)) return { w: pool.w, d: pool.d, rot: pool.rot };
+      if (pool.allowRotation !== false && near(col.w, pool.d) && near(col.d, pool.w)) {
+        return { w: pool.d, d: pool.w, rot: ((pool.rot || 0) + 90) % 360 };
+      }
+      return null;
+    };
+
+    for (const recipe of kbPatterns) {
+      const cols = recipe.columns || [];
+      if (!cols.length) continue;
+      const span = Math.max(...cols.map((col, i) => (col.x ?? cols.slice(0, i).reduce((s, c) => s + c.w, 0)) + col.w));
+      const depths = cols.map(col => col.d);
+      if (span > WP_TRUCK_WIDTH + 0.5 || Math.max(...depths) - Math.min(...depths) > WP_FLAT_FACE) {
+        wpWarn(`[WallPlanner] Phase 3A: recipe "${recipe.id}" does not fit this truck (${span}" wide) — skipped`);
+        wpTrace().notes.push(`Recipe "${recipe.label || recipe.id}" skipped: ${span}" wide or depths too far apart for this truck`);
+        continue;
+      }
+
+      let built = 0;
+      for (;;) {
+        // Reserve a pool for every column; all pools of one wall share a stop
+        const taken = new Map();
+        const picks = [];
+        let stop = null;
+        for (const col of cols) {
+          const stack = Math.max(1, col.stack || 1);
+          let pick = null;
+          for (const pool of orphanPools) {
+            const free = pool.cases.length - (taken.get(pool) || 0);
+            if (free < 1 || (stop !== null && wpStopOf(pool.sg) !== stop)) continue;
+            const fit = columnFit(col, pool);
+            if (!fit) continue;
+            const n = Math.min(stack, pool.maxStack, free);
+            if (n < stack) continue;
+            pick = { pool, fit, n };
+            break;
+          }
+          if (!pick) break;
+          stop = wpStopOf(pick.pool.sg);
+          taken.set(pick.pool, (taken.get(pick.pool) || 0) + pick.n);
+          picks.push({ col, ...pick });
+        }
+        if (picks.length < cols.length) break;
+
+        const wall = {
+          items: [], widthFill: 0, maxHeight: 0, depth: 0, isFlatTop: true,
+          subgroups: [], reliability: WP_RELIABILITY.KB_COMBO, patternId: recipe.id,
+        };
+        let x = 0;
+        for (const { col, pool, fit, n } of picks) {
+          const xOff = col.x ?? x;
+          const stackedH = pool.h * n;
+          wall.items.push({
+            blockName: pool.blockName, sg: pool.sg, w: fit.w, d: fit.d, h: pool.h,
+            rot: fit.rot, xOff, stackCount: n, stackedH, cases: pool.cases.splice(0, n),
+          });
+          x = xOff + fit.w;
+          wall.widthFill = Math.max(wall.widthFill, x);
+          wall.maxHeight = Math.max(wall.maxHeight, stackedH);
+          wall.depth = Math.max(wall.depth, fit.d);
+          if (!wall.subgroups.includes(pool.sg)) wall.subgroups.push(pool.sg);
+        }
+        const heights = wall.items.map(it => it.stackedH);
+        wall.isFlatTop = new Set(heights.map(h => Math.round(h * 10))).size <= 1;
+        kbWalls.push(wall);
+        wpTraceWall(wall, `recipe "${recipe.label || recipe.id}"`);
+        built++;
+      }
+      if (built) wpLog(`[WallPlanner] Phase 3A: recipe "${recipe.label || recipe.id}" → ${built} wall(s)`);
+    }
+    wpLog(`[WallPlanner] Phase 3A: ${kbWalls.length} KB walls`);
   } else {
-    console.log('[WallPlanner] Phase 3A: no KB patterns — skipping');
+    wpLog('[WallPlanner] Phase 3A: no KB patterns — skipping');
+    wpTrace().notes.push('No wall recipes loaded');
   }
 
   // ── Phase 3B: Rotation-aware depth-grouped FFD (2-pass) ──
+  wpProgress('3B');
   const remaining = orphanPools.filter(p => p.cases.length > 0);
-  console.log(`[WallPlanner] Phase 3B: ${remaining.length} orphan pools (${remaining.reduce((s, p) => s + p.cases.length, 0)} cases)`);
+  wpLog(`[WallPlanner] Phase 3B: ${remaining.length} orphan pools (${remaining.reduce((s, p) => s + p.cases.length, 0)} cases)`);
+  wpTrace().inputs = { pools: remaining.length, cases: remaining.reduce((s, p) => s + p.cases.length, 0) };
 
   // Try better rotation for each remaining pool
   for (const pool of remaining) {
     if (!pool.allowRotation || Math.abs(pool.w - pool.d) < 0.5) continue;
+    if (variant.rotation === 'keep') continue;
 
     // Calculate both orientations' ability to group with OTHER orphans
     const otherPools = remaining.filter(p => p !== pool && p.cases.length > 0);
@@ -425,7 +1008,7 @@ export function wallPlannerSolve(cases, config) {
       if (orient.w > WP_TRUCK_WIDTH) return -1;
       let count = 0;
       for (const other of otherPools) {
-        if (Math.abs(orient.d - other.d) <= 8) count += other.cases.length;
+        if (Math.abs(orient.d - other.d) <= WP_FLAT_FACE) count += other.cases.length;
       }
       // Also consider how many fit per row
       const ipr = Math.floor(WP_TRUCK_WIDTH / orient.w);
@@ -435,9 +1018,18 @@ export function wallPlannerSolve(cases, config) {
     const score1 = countCompatible(orient1);
     const score2 = countCompatible(orient2);
 
-    const orient = score2 > score1 ? orient2 : orient1;
+    let orient = score2 > score1 ? orient2 : orient1;
+    // Variant: the orientation the scoring passed over, as long as it fits the width
+    const flipped = variant.rotation === 'flip' && (orient === orient1 ? orient2 : orient1).w <= WP_TRUCK_WIDTH;
+    if (flipped) orient = orient === orient1 ? orient2 : orient1;
     if (orient !== orient1) {
-      console.log(`[WallPlanner] Phase 3B: rotating "${pool.sg}" ${pool.w}×${pool.d} → ${orient.w}×${orient.d} (depth ${orient.d}" matches more orphans)`);
+      const reason = flipped
+        ? 'alternative plan: the orientation the scoring passed over'
+        : `a ${orient.d}" depth lines up with more orphan cases`;
+      wpLog(`[WallPlanner] Phase 3B: rotating "${pool.sg}" ${pool.w}×${pool.d} → ${orient.w}×${orient.d} (${reason})`);
+      wpTrace().rotations.push({
+        group: pool.sg, from: `${pool.w}×${pool.d}`, to: `${orient.w}×${orient.d}`, reason,
+      });
     }
     pool.w = orient.w;
     pool.d = orient.d;
@@ -454,9 +1046,6 @@ export function wallPlannerSolve(cases, config) {
   }
 
   // Step 2: FFD bin-packing by depth group
-  const WP_DEPTH_STRICT = 2;
-  const WP_DEPTH_RELAXED = 8;
-
   let orphanWalls = [];
 
   function ffdByDepth(deptPools, depthTol, reliabilityLevel) {
@@ -472,6 +1061,7 @@ export function wallPlannerSolve(cases, config) {
       used.add(i);
       for (let j = i + 1; j < active.length; j++) {
         if (used.has(j) || active[j].cases.length === 0) continue;
+        if (wpStopOf(active[i].sg) !== wpStopOf(active[j].sg)) continue;
         if (Math.abs(active[i].d - active[j].d) <= depthTol) {
           group.push(active[j]);
           used.add(j);
@@ -510,23 +1100,25 @@ export function wallPlannerSolve(cases, config) {
     return walls;
   }
 
-  // Pass 1: strict flat-face (±2") per department
+  // Pass 1: strict flat-face (±WP_DEPTH_STRICT) per department
   for (const dept of Object.keys(orphansByDept)) {
     const deptPools = orphansByDept[dept].filter(p => p.cases.length > 0);
     if (!deptPools.length) continue;
     const newWalls = ffdByDepth(deptPools, WP_DEPTH_STRICT, WP_RELIABILITY.ORPHAN_SAME_DEPT);
-    if (newWalls.length) console.log(`[WallPlanner] Phase 3B pass 1 [${dept}]: ${newWalls.length} walls (strict ±${WP_DEPTH_STRICT}")`);
+    if (newWalls.length) wpLog(`[WallPlanner] Phase 3B pass 1 [${dept}]: ${newWalls.length} walls (strict ±${WP_DEPTH_STRICT}")`);
+    for (const w of newWalls) wpTraceWall(w, `${dept} orphans of matching depth (±${WP_DEPTH_STRICT}")`);
     orphanWalls.push(...newWalls);
   }
 
-  // Pass 2: relaxed flat-face (±8") for remaining orphans — cross-dept
+  // Pass 2: relaxed flat-face (±WP_DEPTH_RELAXED) for remaining orphans — cross-dept
   const stillRemaining = orphanPools.filter(p => p.cases.length > 0);
   if (stillRemaining.length > 0) {
     const relaxedCount = stillRemaining.reduce((s, p) => s + p.cases.length, 0);
     const depthInfo = stillRemaining.map(p => `${p.sg}:${p.d}"`).join(', ');
-    console.log(`[WallPlanner] Phase 3B pass 2: ${relaxedCount} cases remaining [${depthInfo}], relaxing to ±${WP_DEPTH_RELAXED}"`);
+    wpLog(`[WallPlanner] Phase 3B pass 2: ${relaxedCount} cases remaining [${depthInfo}], relaxing to ±${WP_DEPTH_RELAXED}"`);
     const newWalls = ffdByDepth(stillRemaining, WP_DEPTH_RELAXED, WP_RELIABILITY.ORPHAN_MIXED);
-    if (newWalls.length) console.log(`[WallPlanner] Phase 3B pass 2: ${newWalls.length} consolidated walls`);
+    if (newWalls.length) wpLog(`[WallPlanner] Phase 3B pass 2: ${newWalls.length} consolidated walls`);
+    for (const w of newWalls) wpTraceWall(w, `leftover orphans of any department (±${WP_DEPTH_RELAXED}")`);
     orphanWalls.push(...newWalls);
   }
 
@@ -534,16 +1126,19 @@ export function wallPlannerSolve(cases, config) {
   orphanWalls = wpMergeWeakWalls(orphanWalls);
 
   // ── Phase 3C: Absorb very weak walls into stronger walls with gaps ──
+  wpProgress('3C');
   const WP_ABSORB_THRESH = 0.50;
   const veryWeak = orphanWalls.filter(w => (w.widthFill / WP_TRUCK_WIDTH) < WP_ABSORB_THRESH);
   const allTargets = [...orphanWalls.filter(w => (w.widthFill / WP_TRUCK_WIDTH) >= WP_ABSORB_THRESH), ...fullWalls, ...kbWalls];
+  wpTrace().inputs = { walls: orphanWalls.length, veryWeak: veryWeak.length };
 
   for (const vw of veryWeak) {
     const absorbed = [];
     for (const item of vw.items) {
       let placed = false;
       for (const target of allTargets) {
-        if (Math.abs(target.depth - item.d) > 8) continue;
+        if (wpWallStop(target) !== wpStopOf(item.sg)) continue;
+        if (Math.abs(target.depth - item.d) > WP_FLAT_FACE) continue;
         if (target.widthFill + item.w > WP_TRUCK_WIDTH + 0.5) continue;
         item.xOff = target.widthFill;
         target.items.push(item);
@@ -552,7 +1147,13 @@ export function wallPlannerSolve(cases, config) {
         target.depth = Math.max(target.depth, item.d);
         if (!target.subgroups.includes(item.sg)) target.subgroups.push(item.sg);
         target.reliability = Math.max(target.reliability, WP_RELIABILITY.ORPHAN_MIXED);
-        console.log(`[WallPlanner] Phase 3C: absorbed "${item.sg}" (${item.w}×${item.d}) into wall [${target.subgroups.join('+')}] → ${Math.round(target.widthFill/WP_TRUCK_WIDTH*100)}% fill`);
+        wpLog(`[WallPlanner] Phase 3C: absorbed "${item.sg}" (${item.w}×${item.d}) into wall [${target.subgroups.join('+')}] → ${Math.round(target.widthFill/WP_TRUCK_WIDTH*100)}% fill`);
+        wpTrace().merges.push({
+          from: [item.sg], into: target.subgroups.join(' + '),
+          reason: `column of a wall under ${Math.round(WP_ABSORB_THRESH * 100)}% fill moved into a gap`,
+          fillPct: Math.round((target.widthFill / WP_TRUCK_WIDTH) * 100),
+        });
+        if (target.origin && !target.origin.includes('absorbed')) target.origin += ', absorbed columns of weaker walls';
         placed = true;
         break;
       }
@@ -569,9 +1170,11 @@ export function wallPlannerSolve(cases, config) {
   orphanWalls = orphanWalls.filter(w => w.items.length > 0);
 
   // ── Phase 3D: Column-Level Bin Packing ──
+  wpProgress('3D');
   // Decompose weak walls into individual columns and re-pack with best-fit scoring
   {
     const weakWalls3D = orphanWalls.filter(w => (w.widthFill / WP_TRUCK_WIDTH) < WP_MIN_FILL);
+    wpTrace().inputs = { weakWalls: weakWalls3D.length };
 
     if (weakWalls3D.length >= 2) {
       const weakDepthBefore = weakWalls3D.reduce((s, w) => s + w.depth, 0);
@@ -657,14 +1260,17 @@ export function wallPlannerSolve(cases, config) {
             // Width check
             if (wall.widthFill + col.w > WP_TRUCK_WIDTH + 0.5) continue;
 
-            // Flat-face check (strict: delta <= 8")
+            // Never mix delivery stops
+            if (wpStopOf(col.sg) !== wpStopOf(anchor.sg)) continue;
+
+            // Flat-face check (delta <= flat-face limit)
             const newMinD = Math.min(wall.minDepth, col.d);
             const newMaxD = Math.max(wall.depth, col.d);
-            if (newMaxD - newMinD > 8) continue;
+            if (newMaxD - newMinD > WP_FLAT_FACE) continue;
 
             // Score this addition
             const newFill = (wall.widthFill + col.w) / WP_TRUCK_WIDTH;
-            const depthDelta = (newMaxD - newMinD) / 8; // 0 to 1, lower is better
+            const depthDelta = WP_FLAT_FACE > 0 ? (newMaxD - newMinD) / WP_FLAT_FACE : 0; // 0 to 1, lower is better
             const heightDiff = Math.abs(wall.maxHeight - col.stackedH) / (config.truckHeight || 110);
             const sameDept = (col.dept === wpWallDept(wall)) ? 0.1 : 0;
 
@@ -705,31 +1311,321 @@ export function wallPlannerSolve(cases, config) {
         wall.isFlatTop = new Set(heights.map(h => Math.round(h * 10))).size <= 1;
 
         newWalls3D.push(wall);
+        wpTraceWall(wall, 'weak walls taken apart and re-packed column by column');
       }
 
       // STEP 4: Compare and use Phase 3D result
       const weakDepthAfter = newWalls3D.reduce((s, w) => s + w.depth, 0);
       orphanWalls.push(...newWalls3D);
 
-      console.log(`[WallPlanner] Phase 3D: consolidated ${weakCountBefore} weak walls into ${newWalls3D.length} walls (depth: ${Math.round(weakDepthBefore)}" → ${Math.round(weakDepthAfter)}")`);
+      wpLog(`[WallPlanner] Phase 3D: consolidated ${weakCountBefore} weak walls into ${newWalls3D.length} walls (depth: ${Math.round(weakDepthBefore)}" → ${Math.round(weakDepthAfter)}")`);
+      wpTrace().notes.push(`${weakCountBefore} weak walls re-packed into ${newWalls3D.length} (depth ${Math.round(weakDepthBefore)}" → ${Math.round(weakDepthAfter)}")`);
     } else {
-      console.log(`[WallPlanner] Phase 3D: skipped (fewer than 2 weak walls)`);
+      wpLog(`[WallPlanner] Phase 3D: skipped (fewer than 2 weak walls)`);
+      wpTrace().notes.push('Skipped: fewer than 2 weak walls');
+    }
+  }
+
+  // ── Phase 3E: Mixed-footprint stacking ──
+  // Stacks so far hold identical cases of one group. Here, weak walls are
+  // dissolved when every one of their columns can ride on top of a column in
+  // another wall: the topper's footprint must fit within the base (and be no
+  // shallower than the flat-face limit allows), the base's top case must bear
+  // load, both groups' max_stack must allow the extra tiers and the combined
+  // column must clear the roof. Only whole walls are dissolved — that is what
+  // frees floor depth.
+  wpProgress('3E');
+  let stackingGain = { walls: 0, cases: 0, depth: 0 };
+  {
+    const donors = orphanWalls
+      .filter(w => (w.widthFill / WP_TRUCK_WIDTH) < WP_MIN_FILL)
+      .sort((a, b) => a.widthFill - b.widthFill);
+    wpTrace().inputs = { weakWalls: donors.length };
+    const tiers = item => item.stackCount + (item.toppers || []).reduce((n, t) => n + t.stackCount, 0);
+    const topCase = item => {
+      const all = wpItemCases(item);
+      return all[all.length - 1];
+    };
+    // Orientation of a donor column on top of a base column (null = doesn't fit)
+    const topperFit = (base, col) => {
+      const orients = [{ w: col.w, d: col.d, rot: col.rot }];
+      if (col.cases[0].allowRotation !== false) orients.push({ w: col.d, d: col.w, rot: ((col.rot || 0) + 90) % 360 });
+      return orients.find(o => o.w <= base.w + 0.5 && o.d <= base.d + 0.5 && o.d >= base.d - WP_FLAT_FACE) || null;
+    };
+    // Every case under the topper must take its weight on top of what it carries already
+    // (and give it a flat top to sit on)
+    const carries = (base, col) => {
+      const under = wpItemCases(base);
+      if (under.some(c => !caseHasFlatTop(c) && col.cases.some(t => t.subgroup !== c.subgroup))) return false;
+      let load = col.cases.reduce((s, c) => s + (c.weight || 0), 0);
+      for (let i = under.length - 1; i >= 0; i--) {
+        const limit = caseLoadLimit(under[i]);
+        if (limit === 0 || load > limit + 0.5) return false;
+        load += under[i].weight || 0;
+      }
+      return true;
+    };
+    const canTop = (base, col) => {
+      const top = topCase(base);
+      if (!top.stackable || !carries(base, col)) return null;
+      if (!col.cases.every(c => c.stackable)) return null;
+      if (wpStopOf(base.sg) !== wpStopOf(col.sg)) return null;
+      const maxTiers = Math.min(...wpItemCases(base).concat(col.cases).map(c => c.maxStack || 1));
+      if (tiers(base) + col.stackCount > maxTiers) return null;
+      if (base.stackedH + col.stackedH > WP_TRUCK_HEIGHT + 0.5) return null;
+      return topperFit(base, col);
+    };
+
+    let dissolved = 0, freedDepth = 0, toppedCases = 0;
+    for (const donor of donors) {
+      // A wall already carrying toppers stays put
+      if (donor.items.some(it => it.toppers)) continue;
+      // Plan every column first; commit only if the whole wall finds bases
+      const plan = [];
+      const claimed = new Set();
+      for (const col of donor.items.slice().sort((a, b) => b.w * b.d - a.w * a.d)) {
+        let best = null;
+        for (const wall of fullWalls.concat(kbWalls, orphanWalls)) {
+          if (wall === donor) continue;
+          for (const base of wall.items) {
+            if (claimed.has(base)) continue;
+            const fit = canTop(base, col);
+            if (!fit) continue;
+            // Snuggest footprint wins — keeps big bases free for big toppers
+            const waste = base.w * base.d - fit.w * fit.d;
+            if (!best || waste < best.waste) best = { wall, base, fit, waste };
+          }
+        }
+        if (!best) break;
+        claimed.add(best.base);
+        plan.push({ col, ...best });
+      }
+      if (plan.length < donor.items.length) continue;
+
+      for (const { col, wall, base, fit } of plan) {
+        if (!base.toppers) base.toppers = [];
+        base.toppers.push({
+          blockName: col.blockName, sg: col.sg, w: fit.w, d: fit.d, h: col.h, rot: fit.rot,
+          stackCount: col.stackCount, stackedH: col.stackedH, cases: col.cases,
+        });
+        base.stackedH += col.stackedH;
+        wall.maxHeight = Math.max(wall.maxHeight, base.stackedH);
+        if (!wall.subgroups.includes(col.sg)) wall.subgroups.push(col.sg);
+        const heights = wall.items.map(it => it.stackedH);
+        wall.isFlatTop = new Set(heights.map(h => Math.round(h * 10))).size <= 1;
+        if (wall.origin && !wall.origin.includes('topped')) wall.origin += `, topped with ${col.sg}`;
+        toppedCases += col.cases.length;
+        wpTrace().merges.push({
+          from: [col.sg], into: wall.subgroups.join(' + '),
+          reason: `stacked on ${base.sg} (${fit.w}×${fit.d} on ${base.w}×${base.d}, ${Math.round(base.stackedH)}" high)`,
+          fillPct: Math.round((wall.widthFill / WP_TRUCK_WIDTH) * 100),
+        });
+      }
+      orphanWalls.splice(orphanWalls.indexOf(donor), 1);
+      dissolved++;
+      freedDepth += donor.depth;
+      wpLog(`[WallPlanner] Phase 3E: wall [${donor.subgroups.join('+')}] stacked onto ${[...new Set(plan.map(p => p.base.sg))].join(', ')} → ${Math.round(donor.depth)}" freed`);
     }
+    stackingGain = { walls: dissolved, cases: toppedCases, depth: Math.round(freedDepth) };
+    wpTrace().notes.push(dissolved
+      ? `${dissolved} weak walls stacked onto other columns, ${Math.round(freedDepth)}" of floor depth gained`
+      : 'No weak wall could be stacked onto other columns');
+    wpLog(dissolved
+      ? `[WallPlanner] Phase 3E: ${dissolved} walls stacked away (${toppedCases} cases), ${Math.round(freedDepth)}" of floor depth gained`
+      : '[WallPlanner] Phase 3E: no mixed stacking opportunities');
   }
 
   // Log weak walls for diagnostics
   const weakWalls = orphanWalls.filter(w => (w.widthFill / WP_TRUCK_WIDTH) < WP_MIN_FILL);
+  for (const w of weakWalls) {
+    wpTrace().notes.push(`Wall [${w.subgroups.join(' + ')}] stays weak: ${Math.round(w.widthFill / WP_TRUCK_WIDTH * 100)}% of the width`);
+  }
   if (weakWalls.length > 0) {
-    console.log(`[WallPlanner] Phase 3B: ${weakWalls.length} weak orphan walls (<${Math.round(WP_MIN_FILL*100)}% fill): ${weakWalls.map(w => `${w.subgroups.join('+')} ${Math.round(w.widthFill)}"/${WP_TRUCK_WIDTH}" (${Math.round(w.widthFill/WP_TRUCK_WIDTH*100)}%)`).join(', ')}`);
+    wpLog(`[WallPlanner] Phase 3B: ${weakWalls.length} weak orphan walls (<${Math.round(WP_MIN_FILL*100)}% fill): ${weakWalls.map(w => `${w.subgroups.join('+')} ${Math.round(w.widthFill)}"/${WP_TRUCK_WIDTH}" (${Math.round(w.widthFill/WP_TRUCK_WIDTH*100)}%)`).join(', ')}`);
+  }
+
+  // ── Phase 3F: Local search (optional) ──
+  // Walls are final here; only their order and coordinates remain. Simulated
+  // annealing moves a column to another wall, swaps columns between walls or
+  // turns a column a quarter turn, looking for a smaller total wall depth —
+  // a wall emptied this way frees its whole depth. Columns move whole (with
+  // their Phase 3E toppers), so stacks are untouched; every wall keeps to the
+  // truck width, the flat-face limit and a single delivery stop. Recipe walls
+  // and floor walls are left alone.
+  wpProgress('3F');
+  const optimization = { enabled: !!config.optimize, depth: 0, walls: 0, moves: 0, iterations: 0, ms: 0, capped: false };
+  if (config.optimize) {
+    const opts = { ...WP_OPTIMIZE_DEFAULTS, ...(typeof config.optimize === 'object' ? config.optimize : {}) };
+    const wallLists = [fullWalls, kbWalls, orphanWalls];
+    const walls = wallLists.flat().filter(w => !w.patternId && w.items.length > 0);
+    // One entry per column; `at` = wall index, `turned` = quarter turn applied
+    const cols = [];
+    walls.forEach((w, wi) => {
+      for (const item of w.items) {
+        cols.push({
+          item, at: wi, turned: false, stop: wpStopOf(item.sg),
+          canTurn: !item.toppers && Math.abs(item.w - item.d) >= 0.5 &&
+            item.cases.every(c => c.allowRotation !== false) && item.d <= WP_TRUCK_WIDTH + 0.5,
+        });
+      }
+    });
+    wpTrace().inputs = { walls: walls.length, columns: cols.length };
+
+    const colW = c => (c.turned ? c.item.d : c.item.w);
+    const colD = c => (c.turned ? c.item.w : c.item.d);
+    const members = walls.map((_, wi) => cols.filter(c => c.at === wi));
+    // Depth of a wall made of `list` (0 when empty), or -1 when it breaks a constraint
+    const wallDepth = (list) => {
+      if (!list.length) return 0;
+      let width = 0, dMax = 0, dMin = Infinity;
+      for (const c of list) {
+        if (c.stop !== list[0].stop) return -1;
+        width += colW(c);
+        dMax = Math.max(dMax, colD(c));
+        dMin = Math.min(dMin, colD(c));
+      }
+      if (width > WP_TRUCK_WIDTH + 0.5 || dMax - dMin > WP_FLAT_FACE) return -1;
+      return dMax;
+    };
+    const depths = members.map(wallDepth);
+    const startDepth = depths.reduce((a, b) => a + Math.max(b, 0), 0);
+
+    if (walls.length >= 2 && depths.every(d => d >= 0)) {
+      const rand = wpRandom(opts.seed);
+      const started = Date.now();
+      const deadline = started + opts.timeMs;
+      let energy = startDepth, bestEnergy = startDepth;
+      let best = cols.map(c => [c.at, c.turned]);
+      const t0 = 6, tEnd = 0.05; // inches of depth a bad move may cost, start → end
+      let it = 0;
+      for (; it < opts.iterations; it++) {
+        // Safety cap only: a run that hits it is no longer repeatable, so it is reported
+        if (it % 256 === 0 && Date.now() > deadline) { optimization.capped = true; break; }
+        const temp = t0 * Math.pow(tEnd / t0, it / opts.iterations);
+        const a = cols[Math.floor(rand() * cols.length)];
+        const kind = rand();
+        // Trial: the walls touched and their new column lists
+        let touched;
+        let undo;
+        if (kind < 0.15) {
+          if (!a.canTurn) continue;
+          a.turned = !a.turned;
+          touched = [a.at];
+          undo = () => { a.turned = !a.turned; };
+        } else {
+          const to = Math.floor(rand() * walls.length);
+          if (to === a.at) continue;
+          const from = a.at;
+          if (kind < 0.6) {
+            members[from] = members[from].filter(c => c !== a);
+            members[to] = members[to].concat(a);
+            a.at = to;
+            undo = () => {
+              members[to] = members[to].filter(c => c !== a);
+              members[from] = members[from].concat(a);
+              a.at = from;
+            };
+          } else {
+            if (!members[to].length) continue;
+            const b = members[to][Math.floor(rand() * members[to].length)];
+            members[from] = members[from].map(c => (c === a ? b : c));
+            members[to] = members[to].map(c => (c === b ? a : c));
+            a.at = to;
+            b.at = from;
+            undo = () => {
+              members[from] = members[from].map(c => (c === b ? a : c));
+              members[to] = members[to].map(c => (c === a ? b : c));
+              a.at = from;
+              b.at = to;
+            };
+          }
+          touched = [from, to];
+        }
+        const trial = touched.map(wi => wallDepth(members[wi]));
+        const delta = trial.reduce((s, d, i) => s + d - depths[touched[i]], 0);
+        if (trial.some(d => d < 0) || (delta > 0 && rand() >= Math.exp(-delta / temp))) {
+          undo();
+          continue;
+        }
+        touched.forEach((wi, i) => { depths[wi] = trial[i]; });
+        energy += delta;
+        if (energy < bestEnergy - 0.01) {
+          bestEnergy = energy;
+          best = cols.map(c => [c.at, c.turned]);
+          optimization.moves++;
+        }
+      }
+      optimization.iterations = it;
+      optimization.ms = Date.now() - started;
+
+      if (bestEnergy < startDepth - 0.5) {
+        cols.forEach((c, i) => { [c.at, c.turned] = best[i]; });
+        walls.forEach((wall, wi) => {
+          const list = cols.filter(c => c.at === wi);
+          const changed = list.length !== wall.items.length || list.some(c => c.turned || !wall.items.includes(c.item));
+          if (!changed) return;
+          let x = 0;
+          wall.items = list.map(c => {
+            if (c.turned) {
+              [c.item.w, c.item.d] = [c.item.d, c.item.w];
+              c.item.rot = ((c.item.rot || 0) + 90) % 360;
+            }
+            c.item.xOff = x;
+            x += c.item.w;
+            return c.item;
+          });
+          if (!wall.items.length) return;
+          const heights = wall.items.map(it => it.stackedH);
+          wall.widthFill = x;
+          wall.maxHeight = Math.max(...heights);
+          wall.depth = Math.max(...wall.items.map(it => it.d));
+          wall.isFlatTop = new Set(heights.map(h => Math.round(h * 10))).size <= 1;
+          wall.subgroups = [...new Set(wall.items.flatMap(it => [it.sg, ...(it.toppers || []).map(t => t.sg)]))].sort();
+          if (wall.subgroups.length > 1) {
+            const multiDept = new Set(wall.subgroups.map(wpGetDept)).size > 1;
+            wall.reliability = Math.max(wall.reliability || 0, multiDept ? WP_RELIABILITY.ORPHAN_MIXED : WP_RELIABILITY.ORPHAN_SAME_DEPT);
+          }
+          wall.origin = `${wall.origin || `Phase ${wpTrace().phase}: rebuilt`}, reworked by local search`;
+        });
+        const emptied = walls.filter(w => !w.items.length);
+        for (const list of wallLists) {
+          for (const w of emptied) if (list.includes(w)) list.splice(list.indexOf(w), 1);
+        }
+        for (const w of emptied) {
+          wpTrace().merges.push({
+            from: [w.subgroups.join(' + ')], into: 'other walls',
+            reason: `columns moved by local search, ${Math.round(w.depth)}" freed`, fillPct: 0,
+          });
+        }
+        optimization.depth = Math.round(startDepth - bestEnergy);
+        optimization.walls = emptied.length;
+      }
+      const summary = optimization.depth > 0
+        ? `${optimization.depth}" of floor depth saved (${optimization.walls} walls emptied, ${optimization.moves} improving moves)`
+        : 'No improvement found';
+      const cap = optimization.capped ? ` (stopped by the ${opts.timeMs} ms safety cap; not repeatable)` : '';
+      wpTrace().notes.push(`${summary} — ${optimization.iterations} iterations in ${optimization.ms} ms${cap}`);
+      wpLog(`[WallPlanner] Phase 3F: ${summary}, ${optimization.iterations} iterations in ${optimization.ms} ms${cap}`);
+    } else {
+      wpTrace().notes.push('Skipped: fewer than 2 walls to rework');
+    }
+  } else {
+    wpTrace().notes.push('Off (enable "Optimize" to run)');
   }
 
   // ── Phase 4: Order Stages (stability-aware) ──
+  wpProgress('4');
   const sortableWalls = fullWalls.concat(kbWalls, orphanWalls);
-  const WP_STAGE_HEIGHT_TOL = 15;
+  wpMaxWallDensity = Math.max(0, ...sortableWalls.map(w => wpWallWeight(w) / Math.max(w.depth, 1)));
 
   const relLabels = { 1:'FULL', 2:'KB', 3:'FIT', 4:'ORPHAN', 5:'MIXED' };
 
+  // Multi-stop: last stop at the cab, first stop at the door (last in, first out).
+  // The stop order takes precedence over every stability criterion.
+  const stopsDesc = [...new Set(floorWalls.concat(sortableWalls).map(wpWallStop))].sort(wpStopsCabFirst);
   sortableWalls.sort((a, b) => {
+    const stopA = wpWallStop(a), stopB = wpWallStop(b);
+    if (stopA !== stopB) return wpStopsCabFirst(stopA, stopB);
     const scoreA = wpWallScore(a), scoreB = wpWallScore(b);
     if (scoreA !== scoreB) return scoreA - scoreB;
     const deptA = deptPriority[wpWallDept(a)] || 99;
@@ -738,8 +1634,13 @@ export function wallPlannerSolve(cases, config) {
     return (b.widthFill / WP_TRUCK_WIDTH) - (a.widthFill / WP_TRUCK_WIDTH);
   });
 
-  // Floor walls first, then sorted remaining
-  const allWalls = floorWalls.concat(sortableWalls);
+  // Floor walls first, then sorted remaining (per stop when the load has stops)
+  const allWalls = stopsDesc.flatMap(stop =>
+    floorWalls.filter(w => wpWallStop(w) === stop).concat(sortableWalls.filter(w => wpWallStop(w) === stop)));
+  const stopNames = stopsDesc.map(stop => stop || 'no stop').join(', ');
+  if (stopsDesc.length > 1) wpLog(`[WallPlanner] Phase 4: ${stopsDesc.length} delivery stops, cab → door: ${stopNames}`);
+  wpTrace().inputs = { walls: allWalls.filter(w => !w._isLoadBar).length, stops: stopsDesc };
+  if (stopsDesc.length > 1) wpTrace().notes.push(`Delivery stops, cab → door: ${stopNames} (stop order comes before stability)`);
 
   // Group into stages
   const stages = [];
@@ -747,21 +1648,24 @@ export function wallPlannerSolve(cases, config) {
   let curHeight = allWalls.length ? allWalls[0].maxHeight : 0;
   let curDept = allWalls.length ? wpWallDept(allWalls[0]) : '';
   let curRel = allWalls.length ? (allWalls[0].reliability || 99) : 0;
+  let curStop = allWalls.length ? wpWallStop(allWalls[0]) : 0;
   for (const wall of allWalls) {
     const wallDept = wpWallDept(wall);
     const wallRel = wall.reliability || 99;
-    const sameStage = (wallRel === curRel) && (wallDept === curDept) && (Math.abs(wall.maxHeight - curHeight) <= WP_STAGE_HEIGHT_TOL);
+    const wallStop = wpWallStop(wall);
+    const sameStage = (wallStop === curStop) && (wallRel === curRel) && (wallDept === curDept) && (Math.abs(wall.maxHeight - curHeight) <= WP_STAGE_HEIGHT_TOL);
     if (sameStage) {
       curGroup.push(wall);
     } else {
-      if (curGroup.length) stages.push({ walls: curGroup, idx: stages.length });
+      if (curGroup.length) stages.push({ walls: curGroup, idx: stages.length, stop: curStop });
       curGroup = [wall];
       curHeight = wall.maxHeight;
       curDept = wallDept;
       curRel = wallRel;
+      curStop = wallStop;
     }
   }
-  if (curGroup.length) stages.push({ walls: curGroup, idx: stages.length });
+  if (curGroup.length) stages.push({ walls: curGroup, idx: stages.length, stop: curStop });
 
   // Label stages
   for (const s of stages) {
@@ -769,122 +1673,270 @@ export function wallPlannerSolve(cases, config) {
     for (const w of s.walls) w.subgroups.forEach(sg => subs.add(sg));
     const stageDept = wpWallDept(s.walls[0]);
     const stageRel = relLabels[s.walls[0].reliability] || '?';
-    s.label = `Stage ${s.idx} [${stageDept} ${stageRel}] — ${[...subs].sort().join(', ')}`;
+    s.label = `Stage ${s.idx} [${s.stop ? `stop ${s.stop} ` : ''}${stageDept} ${stageRel}] — ${[...subs].sort().join(', ')}`;
     s.maxHeight = Math.max(...s.walls.map(w => w.maxHeight));
     s.totalDepth = s.walls.reduce((sum, w) => sum + w.depth, 0);
   }
 
   // Log final wall order
-  console.log(`[WallPlanner] Phase 4 wall order (fond→door):`);
+  wpLog(`[WallPlanner] Phase 4 wall order (fond→door):`);
   for (let i = 0; i < allWalls.length; i++) {
     const w = allWalls[i];
-    if (w._isLoadBar) { console.log(`  ${i+1}. [LOADBAR] — 2" spacer`); continue; }
+    if (w._isLoadBar) { wpLog(`  ${i+1}. [LOADBAR] — 2" spacer`); continue; }
     const fill = Math.round(w.widthFill / WP_TRUCK_WIDTH * 100);
     const rel = relLabels[w.reliability] || '?';
     const score = wpWallScore(w);
-    console.log(`  ${i+1}. [${rel}] ${w.subgroups.join('+')} — ${Math.round(w.widthFill)}"/${WP_TRUCK_WIDTH}" (${fill}%) h=${w.maxHeight}" depth=${Math.round(w.depth)}" score=${score}`);
+    wpLog(`  ${i+1}. [${rel}] ${w.subgroups.join('+')} — ${Math.round(w.widthFill)}"/${WP_TRUCK_WIDTH}" (${fill}%) h=${w.maxHeight}" depth=${Math.round(w.depth)}" score=${score}`);
+    wpTrace().notes.push(`${i + 1}. [${rel}] ${w.subgroups.join(' + ')} — ${fill}% fill, ${Math.round(w.maxHeight)}" high, score ${score}`);
   }
 
   // ── Phase 5: Calculate Coordinates + Register Walls ──
+  wpProgress('5');
+  wpTrace().inputs = { stages: stages.length, walls: allWalls.filter(w => !w._isLoadBar).length };
   const allPlacements = [];
   const spilloverItems = [];
-  let yPos = 0;
+  let yPos = Math.max(0, config.startY || 0);
   let wallIdx = 0;
-
-  for (const stage of stages) {
-    for (const wall of stage.walls) {
-      if (wall._isLoadBar) {
-        yPos += wall.depth;
+  let prevWallPlaced = false; // load bars only follow a floor wall that made it on
+
+  // Pre-loaded cargo stays where the saved plan put it — one wall section per saved wall
+  const preloadedWalls = new Map();
+  for (const p of preloaded) {
+    const key = p.wall || p.name;
+    if (!preloadedWalls.has(key)) preloadedWalls.set(key, []);
+    preloadedWalls.get(key).push(p);
+  }
+  [...preloadedWalls].forEach(([key, saved], i) => {
+    const id = `wp_pre_${i}`;
+    const placements = saved.map(p => ({
+      block_name: p.block_name || '',
+      subgroup: p.subgroup || p.group || p.name,
+      dept: p.dept || 'GENERAL',
+      name: p.name,
+      case_id: p.case_id || '',
+      x: p.x, y: p.y, z: p.z || 0,
+      width: p.width, depth: p.depth, height: p.height,
+      weight: p.weight || 0,
+      rotation: p.rotation || 0,
+      stackable: !!p.stackable,
+      maxStack: p.maxStack || 1,
+      ...wpLoadFields(p),
+      preloaded: true,
+      _wallId: id,
+      _wallPlannerStage: -1,
+      stop: 0,
+    }));
+    allPlacements.push(...placements);
+    const yStart = Math.min(...placements.map(p => p.y));
+    const yEnd = Math.max(...placements.map(p => p.y + p.depth));
+    const wallWidth = Math.max(...placements.map(p => p.x + p.width)) - Math.min(...placements.map(p => p.x));
+    wallSections.push({
+      id, label: `Pre-loaded: ${key}`, section: 'PRELOADED',
+      patternId: null, origin: 'Already in the truck (pre-loaded from a saved plan)',
+      yStart, yEnd,
+      wallWidth: Math.round(wallWidth),
+      fillPct: Math.round((wallWidth / WP_TRUCK_WIDTH) * 100),
+      placements,
+      status: 'pending', caseCount: placements.length,
+      depth: Math.round(yEnd - yStart),
+      stop: 0,
+    });
+  });
+  if (preloaded.length) wpTrace().notes.push(`${preloaded.length} pre-loaded cases kept in place (${preloadedWalls.size} walls); new cases fill the remaining space`);
+  if (config.startY > 0) wpTrace().notes.push(`Packing starts ${Math.round(config.startY)}" from the cab`);
+
+  // Pinned cases go down first, exactly where the sheet puts them — one wall section each
+  pinnedCases.forEach((c, i) => {
+    const placement = {
+      block_name: c.block_name || '',
+      subgroup: c.subgroup || c.group || c.nom,
+      dept: c.dept || 'GENERAL',
+      name: c.nom || c.name,
+      case_id: c.num_caisse || '',
+      x: c.pin.x, y: c.pin.y, z: c.pin.z || 0,
+      width: c.width, depth: c.depth, height: c.height,
+      weight: c.weight || 0,
+      rotation: c.rotation || 0,
+      stackable: !!c.stackable,
+      maxStack: c.maxStack || 1,
+      ...wpLoadFields(c),
+      pinned: true,
+      _wallId: `wp_pin_${i}`,
+      _wallPlannerStage: -1,
+      stop: c.stop || 0,
+    };
+    allPlacements.push(placement);
+    wallSections.push({
+      id: placement._wallId, label: `Pinned: ${placement.name}`, section: 'PINNED',
+      patternId: null, origin: 'Pinned in the sheet (pin_x / pin_y / pin_z)',
+      yStart: placement.y, yEnd: placement.y + placement.depth,
+      wallWidth: Math.round(placement.width),
+      fillPct: Math.round((placement.width / WP_TRUCK_WIDTH) * 100),
+      placements: [placement],
+      status: 'pending', caseCount: 1,
+      depth: Math.round(placement.depth),
+      stop: placement.stop,
+    });
+  });
+  if (pinnedCases.length) wpTrace().notes.push(`${pinnedCases.length} pinned cases placed first; walls are packed around them`);
+  if (!sideDoor && sideless > 0) wpTrace().notes.push(`${sideless} cases marked for the side door, but this truck has none — loaded from the rear`);
+
+  // Side-door cases: walls planned from the side, in front of the opening — they go
+  // down before the rear walls, which then pack around them like around pins
+  if (sideCases.length) wpPlanSideDoor(sideCases, sideDoor);
+
+  // Side-door walls run along the truck (y) in front of the opening and fill from the
+  // far wall toward the door, one layer per wall section. Each column is a stack of
+  // identical cases; a column that doesn't fit the opening's length starts a new layer.
+  function wpPlanSideDoor(sideCases, door) {
+    const zoneStart = Math.max(0, door.y || 0);
+    const zoneEnd = Math.min(WP_TRUCK_LENGTH, zoneStart + door.width);
+    const fromRight = door.side === 'left'; // a left door is loaded from the right wall outward
+
+    // Columns: runs of identical stackable cases, tallest first
+    const sorted = sideCases.slice().sort((a, b) => b.height - a.height || (a.group || '').localeCompare(b.group || ''));
+    const columns = [];
+    for (const c of sorted) {
+      const prev = columns[columns.length - 1];
+      const same = prev && prev.cases[0].width === c.width && prev.cases[0].depth === c.depth &&
+        prev.cases[0].height === c.height && c.stackable && prev.cases[0].stackable;
+      const cap = Math.max(1, Math.min(c.maxStack || 1, wpCrushCap(prev ? prev.cases.concat(c) : [c]), Math.floor(WP_TRUCK_HEIGHT / c.height)));
+      if (same && prev.cases.length < cap) {
+        prev.cases.push(c);
         continue;
       }
-      const wallId = 'wp_' + (wallIdx++);
-      const wallPlacements = [];
-      const yStart = yPos;
-      let actualMaxDepth = 0;
-
-      let cumulX = 0;
-      for (const item of wall.items) {
-        const itemW = item.w;
+      // Long side along the truck when it fits the opening, unless rotation is off
+      const turn = c.allowRotation !== false && c.width > c.depth && c.width <= zoneEnd - zoneStart + 0.5;
+      columns.push({ cases: [c], len: turn ? c.width : c.depth, thick: turn ? c.depth : c.width, rot: turn ? 90 : 0 });
+    }
 
-        if (cumulX + itemW > WP_TRUCK_WIDTH + 0.5) {
-          console.warn(`[WallPlanner] Phase 5 SPILLOVER: ${item.sg} x=${cumulX}+w=${itemW}=${cumulX + itemW} > ${WP_TRUCK_WIDTH} → re-queued`);
-          for (const c of item.cases) {
-            spilloverItems.push({
-              blockName: item.blockName, sg: item.sg,
-              nom: c.nom || item.sg, caseId: c.num_caisse || '',
-              w: itemW, d: item.d, h: item.h,
-              dims: { w: itemW, d: item.d, h: item.h, rot: item.rot, stackable: false, maxStack: 1 },
-              caseData: c,
-            });
-          }
-          continue;
+    const layers = [];
+    let u = 0, layer = null;
+    for (const col of columns) {
+      const h = col.cases[0].height * col.cases.length;
+      let placed = false;
+      while (!placed) {
+        if (!layer) {
+          if (u + col.thick > WP_TRUCK_WIDTH + 0.5) break;
+          layer = { u, y: zoneStart, thick: 0, placements: [] };
+          layers.push(layer);
         }
-        for (let si = 0; si < item.stackCount; si++) {
-          const c = item.cases[si];
-          const z = item.h * si;
-          const blockName = c.block_name || item.blockName;
-          const ph = (c.height > 0) ? c.height : item.h;
-          actualMaxDepth = Math.max(actualMaxDepth, item.d);
-          wallPlacements.push({
-            block_name: blockName,
-            subgroup: c.subgroup || c.group || item.sg,
-            dept: c.dept || wpGetDept(item.sg),
-            name: c.nom || c.name || `${item.sg} #${si + 1}`,
+        const x = fromRight ? WP_TRUCK_WIDTH - layer.u - col.thick : layer.u;
+        const hit = wpPinHit(x, layer.y, col.thick, col.len, h);
+        if (!hit && layer.y + col.len <= zoneEnd + 0.5) {
+          col.cases.forEach((c, si) => layer.placements.push({
+            block_name: c.block_name || '',
+            subgroup: c.subgroup || c.group || c.nom,
+            dept: c.dept || 'GENERAL',
+            name: c.nom || c.name,
             case_id: c.num_caisse || '',
-            x: cumulX, y: yPos, z,
-            width: itemW, depth: item.d, height: ph,
-            rotation: item.rot || 0,
-            _wallId: wallId,
-            _wallPlannerStage: stage.idx,
-          });
+            x, y: layer.y, z: c.height * si,
+            width: col.thick, depth: col.len, height: c.height,
+            weight: c.weight || 0,
+            rotation: ((c.rotation || 0) + col.rot) % 360,
+            stackable: !!c.stackable,
+            maxStack: c.maxStack || 1,
+            ...wpLoadFields(c),
+            door: 'side',
+            _wallId: `wp_side_${layers.length - 1}`,
+            _wallPlannerStage: -1,
+            stop: c.stop || 0,
+          }));
+          pinnedBoxes.push({ x, y: layer.y, z: 0, w: col.thick, d: col.len, h, name: col.cases[0].nom || col.cases[0].name });
+          layer.y += col.len;
+          layer.thick = Math.max(layer.thick, col.thick);
+          placed = true;
+        } else if (hit && hit.y + hit.d + col.len <= zoneEnd + 0.5) {
+          layer.y = hit.y + hit.d;
+        } else if (layer.placements.length) {
+          u = layer.u + layer.thick;
+          layer = null;
+        } else {
+          // Nothing fits this layer at all (an obstruction across the opening): the next
+          // layer starts where the obstruction ends, measured from the wall loaded first
+          u = hit ? (fromRight ? WP_TRUCK_WIDTH - hit.x : hit.x + hit.w) : layer.u + col.thick;
+          layers.pop();
+          layer = null;
+        }
+      }
+      if (!placed) {
+        for (const c of col.cases) {
+          unplaced.push({ case: c, reason: 'no_fit', message: `no room left in front of the ${door.label || 'side door'} (${Math.round(zoneEnd - zoneStart)}" opening)` });
         }
-        cumulX += itemW;
       }
+    }
 
-      const wallDepth = Math.max(wall.depth, actualMaxDepth);
-      const yEnd = yPos + wallDepth;
-      const actualFillWidth = Math.max(cumulX, wall.widthFill);
-      const fillPct = Math.round((actualFillWidth / WP_TRUCK_WIDTH) * 100);
+    layers.forEach((l, i) => {
+      const groups = [...new Set(l.placements.map(p => p.subgroup))];
+      const yEnd = Math.max(...l.placements.map(p => p.y + p.depth));
+      allPlacements.push(...l.placements);
       wallSections.push({
-        id: wallId,
-        label: wall.subgroups.join(' + '),
-        section: `Stage ${stage.idx}`,
-        patternId: null,
-        yStart, yEnd,
-        wallWidth: Math.round(actualFillWidth),
-        fillPct,
-        placements: wallPlacements.slice(),
-        status: 'pending',
-        caseCount: wallPlacements.length,
-        depth: Math.round(wall.depth),
+        id: `wp_side_${i}`, label: `Side door: ${groups.join(' + ')}`, section: 'SIDE',
+        patternId: null, origin: `Planned from the ${door.label || 'side door'} (door = side)`,
+        yStart: zoneStart, yEnd,
+        wallWidth: Math.round(l.thick),
+        fillPct: Math.round(((yEnd - zoneStart) / (zoneEnd - zoneStart)) * 100),
+        placements: l.placements,
+        status: 'pending', caseCount: l.placements.length,
+        depth: Math.round(yEnd - zoneStart),
+        stop: 0,
       });
-
-      allPlacements.push(...wallPlacements);
-      yPos = yEnd;
-    }
+    });
+    const placed = layers.reduce((n, l) => n + l.placements.length, 0);
+    wpLog(`[WallPlanner] Side door: ${placed}/${sideCases.length} cases in ${layers.length} walls at ${Math.round(zoneStart)}-${Math.round(zoneEnd)}"`);
+    wpTrace().notes.push(`${placed} of ${sideCases.length} side-door cases planned from the ${door.label || 'side door'} in ${layers.length} walls along the truck`);
   }
 
   // ── Phase 5B: Place spillover cases ──
-  if (spilloverItems.length > 0) {
-    console.log(`[WallPlanner] Phase 5B: ${spilloverItems.length} spillover cases to re-place`);
+  // Runs at the end of each delivery stop (and once at the door), so spillover
+  // never lands in front of an earlier stop's walls.
+  function wpPlaceSpillover() {
+    if (spilloverItems.length === 0) return;
+    wpLog(`[WallPlanner] Phase 5B: ${spilloverItems.length} spillover cases to re-place`);
+    // Rows never mix stops; a stop's rows go down in the same cab-to-door order as its walls
     const spillByDepth = {};
-    for (const item of spilloverItems) {
-      const dKey = Math.round(item.d);
+    for (const item of spilloverItems.splice(0)) {
+      const dKey = `${item.caseData.stop || 0}:${Math.round(item.d)}`;
       if (!spillByDepth[dKey]) spillByDepth[dKey] = [];
       spillByDepth[dKey].push(item);
     }
-    for (const [dKey, items] of Object.entries(spillByDepth)) {
+    const keyParts = key => key.split(':').map(Number);
+    const rowGroups = Object.entries(spillByDepth).sort(([a], [b]) => {
+      const [stopA, depthA] = keyParts(a), [stopB, depthB] = keyParts(b);
+      return wpStopsCabFirst(stopA, stopB) || depthA - depthB;
+    });
+    for (const [, items] of rowGroups) {
       items.sort((a, b) => b.w - a.w);
       while (items.length > 0) {
-        const wallId = 'wp_' + (wallIdx++);
-        const wallPlacements = [];
-        const yStart = yPos;
         let x = 0, maxD = 0;
         const placed = [];
         for (let i = 0; i < items.length; i++) {
-          const item = items[i];
-          if (x + item.w > WP_TRUCK_WIDTH + 0.5) continue;
+          if (x + items[i].w > WP_TRUCK_WIDTH + 0.5) continue;
+          x += items[i].w;
+          maxD = Math.max(maxD, items[i].d);
+          placed.push(i);
+        }
+        if (placed.length === 0) break;
+        const rowItems = placed.map(i => items[i]);
+        for (let j = placed.length - 1; j >= 0; j--) items.splice(placed[j], 1);
+        if (pinnedBoxes.length) yPos = wpClearY(yPos, rowItems.map(it => ({ w: it.w, d: it.d, h: it.h })));
+
+        if (yPos + maxD > WP_TRUCK_LENGTH + 0.5) {
+          for (const item of rowItems) {
+            unplaced.push({ case: item.caseData, reason: 'no_fit', message: `no room left for spillover — needs ${Math.round(maxD)}" at ${Math.round(yPos)}", door at ${WP_TRUCK_LENGTH}"` });
+          }
+          wpWarn(`[WallPlanner] Phase 5B OVERFLOW: ${rowItems.length} spillover cases past the door → unplaced`);
+          wpTrace().notes.push(`${rowItems.length} spillover cases did not fit before the door → unplaced`);
+          continue;
+        }
+
+        const wallId = 'wp_' + (wallIdx++);
+        const wallPlacements = [];
+        const yStart = yPos;
+        x = 0;
+        for (const item of rowItems) {
           const c = item.caseData;
+          if (pinnedBoxes.length) x = wpClearX(x, yPos, item.w, item.d, item.h);
           wallPlacements.push({
             block_name: item.blockName,
             subgroup: c.subgroup || c.group || item.sg,
@@ -893,26 +1945,32 @@ export function wallPlannerSolve(cases, config) {
             case_id: item.caseId,
             x, y: yPos, z: 0,
             width: item.w, depth: item.d, height: item.h,
+            weight: c.weight || 0,
             rotation: item.dims.rot || 0,
+            tip: wpTipOf.get(c) || '',
+            stackable: !!c.stackable,
+            maxStack: c.maxStack || 1,
+            ...wpLoadFields(c),
             _wallId: wallId,
             _wallPlannerStage: -1,
+            stop: c.stop || 0,
           });
           x += item.w;
-          maxD = Math.max(maxD, item.d);
-          placed.push(i);
         }
-        for (let j = placed.length - 1; j >= 0; j--) items.splice(placed[j], 1);
-        if (wallPlacements.length === 0) break;
+        wpBalanceWall(wallPlacements);
 
         const yEnd = yPos + maxD;
+        const origin = `Phase ${wpTrace().phase}: spillover row — cases that overflowed the width of their wall`;
+        wpTrace().notes.push(`Spillover row of ${rowItems.length} cases at ${Math.round(yStart)}"`);
         wallSections.push({
           id: wallId, label: 'Spillover', section: 'SPILLOVER',
-          patternId: null, yStart, yEnd,
+          patternId: null, origin, yStart, yEnd,
           wallWidth: Math.round(x),
           fillPct: Math.round((x / WP_TRUCK_WIDTH) * 100),
           placements: wallPlacements.slice(),
           status: 'pending', caseCount: wallPlacements.length,
           depth: Math.round(maxD),
+          stop: rowItems[0].caseData.stop || 0,
         });
         allPlacements.push(...wallPlacements);
         yPos = yEnd;
@@ -920,37 +1978,276 @@ export function wallPlannerSolve(cases, config) {
     }
   }
 
-  console.log(`[WallPlanner] ${allPlacements.length} caisses, ${wallSections.length} walls, depth: ${Math.round(yPos)}"/${config.truckLength || '?'}"`);
+
+  let stageStop = stages.length ? stages[0].stop : 0;
+  for (const stage of stages) {
+    if (stage.stop !== stageStop) {
+      wpPlaceSpillover();
+      stageStop = stage.stop;
+    }
+    for (const wall of stage.walls) {
+      if (wall._isLoadBar) {
+        if (prevWallPlaced) yPos += wall.depth;
+        continue;
+      }
+      // Pinned cases in the way: move on to where the wall fits around them
+      if (pinnedBoxes.length) yPos = wpClearY(yPos, wall.items.map(it => ({ w: it.w, d: it.d, h: it.stackedH })));
+      // Door check: a wall that would cross the door end stays off the truck.
+      // Later (shallower) walls may still fit in the remaining depth.
+      const needDepth = Math.max(wall.depth, ...wall.items.map(it => it.d));
+      if (yPos + needDepth > WP_TRUCK_LENGTH + 0.5) {
+        const wallCases = wall.items.flatMap(wpItemCases);
+        for (const c of wallCases) {
+          unplaced.push({ case: c, reason: 'no_fit', message: `no room left — wall [${wall.subgroups.join(' + ')}] needs ${Math.round(needDepth)}" at ${Math.round(yPos)}", door at ${WP_TRUCK_LENGTH}"` });
+        }
+        wpWarn(`[WallPlanner] Phase 5 OVERFLOW: wall [${wall.subgroups.join('+')}] (${wallCases.length} cases) needs ${Math.round(needDepth)}" at y=${Math.round(yPos)}" > ${WP_TRUCK_LENGTH}" → unplaced`);
+        wpTrace().notes.push(`Wall [${wall.subgroups.join(' + ')}] (${wallCases.length} cases) needs ${Math.round(needDepth)}" at ${Math.round(yPos)}" — past the door → unplaced`);
+        prevWallPlaced = false;
+        continue;
+      }
+      prevWallPlaced = true;
+      const wallId = 'wp_' + (wallIdx++);
+      const wallPlacements = [];
+      const yStart = yPos;
+      let actualMaxDepth = 0;
+
+      let cumulX = 0;
+      for (const item of wall.items) {
+        const itemW = item.w;
+        // Recipe walls keep their recorded x offsets (gaps included)
+        if (wall.patternId && item.xOff > cumulX) cumulX = item.xOff;
+        if (pinnedBoxes.length) cumulX = wpClearX(cumulX, yPos, itemW, item.d, item.stackedH);
+
+        if (cumulX + itemW > WP_TRUCK_WIDTH + 0.5) {
+          wpWarn(`[WallPlanner] Phase 5 SPILLOVER: ${item.sg} x=${cumulX}+w=${itemW}=${cumulX + itemW} > ${WP_TRUCK_WIDTH} → re-queued`);
+          wpTrace().notes.push(`${item.sg} column overflowed the width of wall [${wall.subgroups.join(' + ')}] → spillover`);
+          for (const seg of [item, ...(item.toppers || [])]) {
+            for (const c of seg.cases) {
+              spilloverItems.push({
+                blockName: seg.blockName, sg: seg.sg,
+                nom: c.nom || seg.sg, caseId: c.num_caisse || '',
+                w: seg.w, d: seg.d, h: seg.h,
+                dims: { w: seg.w, d: seg.d, h: seg.h, rot: seg.rot, stackable: false, maxStack: 1 },
+                caseData: c,
+              });
+            }
+          }
+          continue;
+        }
+        // The column's own stack, then any Phase 3E toppers above it
+        let zBase = 0;
+        for (const seg of [item, ...(item.toppers || [])]) {
+          for (let si = 0; si < seg.stackCount; si++) {
+            const c = seg.cases[si];
+            const z = zBase + seg.h * si;
+            const blockName = c.block_name || seg.blockName;
+            const tip = wpTipOf.get(c) || '';
+            const ph = (c.height > 0 && !tip) ? c.height : seg.h;
+            actualMaxDepth = Math.max(actualMaxDepth, seg.d);
+            wallPlacements.push({
+              block_name: blockName,
+              subgroup: c.subgroup || c.group || seg.sg,
+              dept: c.dept || wpGetDept(seg.sg),
+              name: c.nom || c.name || `${seg.sg} #${si + 1}`,
+              case_id: c.num_caisse || '',
+              x: cumulX, y: yPos, z,
+              width: seg.w, depth: seg.d, height: ph,
+              weight: c.weight || 0,
+              rotation: seg.rot || 0,
+              tip,
+              stackable: !!c.stackable,
+              maxStack: c.maxStack || 1,
+              ...wpLoadFields(c),
+              _wallId: wallId,
+              _wallPlannerStage: stage.idx,
+              _fromKnowledge: !!wall.patternId,
+              stop: c.stop || 0,
+            });
+          }
+          zBase += seg.h * seg.stackCount;
+        }
+        cumulX += itemW;
+      }
+
+      wpBalanceWall(wallPlacements);
+
+      const wallDepth = Math.max(wall.depth, actualMaxDepth);
+      const yEnd = yPos + wallDepth;
+      const actualFillWidth = Math.max(cumulX, wall.widthFill);
+      const fillPct = Math.round((actualFillWidth / WP_TRUCK_WIDTH) * 100);
+      wallSections.push({
+        id: wallId,
+        label: wall.subgroups.join(' + '),
+        section: `Stage ${stage.idx}`,
+        patternId: wall.patternId || null,
+        yStart, yEnd,
+        wallWidth: Math.round(actualFillWidth),
+        fillPct,
+        placements: wallPlacements.slice(),
+        status: 'pending',
+        caseCount: wallPlacements.length,
+        depth: Math.round(wall.depth),
+        stop: stage.stop,
+        origin: wall.origin || '',
+        ...(wall.isFloor ? { floor: true } : {}),
+      });
+
+      allPlacements.push(...wallPlacements);
+      yPos = yEnd;
+    }
+  }
+
+  // ── Phase 5B: Place spillover cases left after the last stop ──
+  wpProgress('5B');
+  wpTrace().inputs = { cases: spilloverItems.length };
+  wpPlaceSpillover();
+
+  wpLog(`[WallPlanner] ${allPlacements.length} caisses, ${wallSections.length} walls, depth: ${Math.round(yPos)}"/${config.truckLength || '?'}"`);
+  if (unplaced.length > 0) {
+    console.warn(`[WallPlanner] ${unplaced.length} cases UNPLACED`);
+  }
+
+  // Payload + axle loads
+  const weight = computeLoadWeight(allPlacements, config);
+  const cog = computeCenterOfGravity(allPlacements, config);
+  if (weight.total > 0) {
+    wpLog(`[WallPlanner] Weight: ${Math.round(weight.total)} lb / ${weight.maxPayload || '?'} lb — ${weight.axles.map(a => `${a.label} ${Math.round(a.load)} lb`).join(', ')}`);
+    wpLog(`[WallPlanner] CoG: x=${cog.x.toFixed(1)}" (${cog.lateralOffset >= 0 ? '+' : ''}${cog.lateralOffset.toFixed(1)}" from center) y=${cog.y.toFixed(1)}" z=${cog.z.toFixed(1)}"`);
+  }
+
+  const securing = computeSecuringPlan(wallSections, config, tuning);
+  wpLog(`[WallPlanner] Securing: ${securing.bars} load bars, ${securing.straps} straps`);
+  const voids = computeVoids(wallSections, config, tuning);
+  voids.forEach(v => wpLog(`[WallPlanner] Void: ${v.label} — ${Math.round(v.width)}" gap at x=${Math.round(v.x)}" → ${v.fill}`));
 
   // Physical constraint validation
-  const violations = wpValidatePlacements(allPlacements, WP_TRUCK_WIDTH);
-  if (violations.length > 0) {
-    console.error(`[WallPlanner] ${violations.length} PHYSICAL VIOLATIONS — load is INVALID`);
-    violations.forEach(v => console.error('  ', v));
+  const violations = wpValidatePlacements(allPlacements, config, tuning)
+    .concat(wpValidateWeight(weight));
+  const errorCount = violations.filter(v => v.severity === 'error').length;
+  if (errorCount > 0) {
+    console.error(`[WallPlanner] ${errorCount} PHYSICAL VIOLATIONS — load is INVALID`);
   } else {
-    console.log('[WallPlanner] All physical constraints satisfied');
+    wpLog('[WallPlanner] All physical constraints satisfied');
   }
+  violations.forEach(v => (v.severity === 'error' ? console.error : console.warn)('  ', `${v.type}: ${v.message}`));
+
+  return { placements: allPlacements, wallSections, unplaced, violations, weight, cog, stacking: stackingGain, optimization, securing, voids, trace };
+}
 
-  return { placements: allPlacements, wallSections };
+// Seeded pseudo-random numbers in [0, 1) (mulberry32): local search runs are repeatable
+function wpRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Validate solver tuning (config.tuning) against WP_TUNING_RANGES.
+ * Missing values take WP_TUNING_DEFAULTS; out-of-range values are clamped;
+ * unknown keys are ignored. Every correction is reported in `errors`.
+ *
+ * @param {Object} [overrides] — partial tuning, e.g. a preset's `tuning`
+ * @returns {{ tuning: Object, errors: string[] }}
+ */
+export function resolveTuning(overrides = {}) {
+  const tuning = { ...WP_TUNING_DEFAULTS };
+  const errors = [];
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (!(key in WP_TUNING_DEFAULTS)) {
+      errors.push(`unknown setting "${key}" ignored`);
+      continue;
+    }
+    const n = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(n)) {
+      errors.push(`${key} "${value}" is not a number — using ${WP_TUNING_DEFAULTS[key]}`);
+      continue;
+    }
+    const [min, max] = WP_TUNING_RANGES[key];
+    tuning[key] = Math.min(max, Math.max(min, n));
+    if (tuning[key] !== n) errors.push(`${key} ${n} outside ${min}–${max} — using ${tuning[key]}`);
+  }
+  // The thresholds nest: strict ≤ relaxed ≤ flat-face limit, weak-wall fill ≤ gap-fill threshold
+  if (tuning.depthRelaxed < tuning.depthStrict) {
+    errors.push(`depthRelaxed ${tuning.depthRelaxed} < depthStrict ${tuning.depthStrict} — using ${tuning.depthStrict}`);
+    tuning.depthRelaxed = tuning.depthStrict;
+  }
+  if (tuning.flatFace < tuning.depthRelaxed) {
+    errors.push(`flatFace ${tuning.flatFace} < depthRelaxed ${tuning.depthRelaxed} — using ${tuning.depthRelaxed}`);
+    tuning.flatFace = tuning.depthRelaxed;
+  }
+  if (tuning.gapThresh < tuning.minFill) {
+    errors.push(`gapThresh ${tuning.gapThresh} < minFill ${tuning.minFill} — using ${tuning.minFill}`);
+    tuning.gapThresh = tuning.minFill;
+  }
+  return { tuning, errors };
 }
 
 // ── Post-placement physical constraint validation ──
-function wpValidatePlacements(placements, truckWidth) {
+// Each violation: { type, severity: 'error'|'warning', message, cases: [names], wallId? }
+function wpValidatePlacements(placements, config, tuning = WP_TUNING_DEFAULTS) {
   const errors = [];
-  const TRUCK_W = truckWidth || 98;
+  const TRUCK_W = config.truckWidth || 98;
+  const TRUCK_L = config.truckLength || Infinity;
+  const TRUCK_H = config.truckHeight || Infinity;
   const TOLERANCE = 0.5;
-  const DEPTH_TOL = 2;
+  const DEPTH_TOL = tuning.depthStrict;
+  const obstructions = config.obstructions || [];
+  // Doors a case can come in through: side-door cases need a side door, others the rear
+  const doors = config.doors || [];
+  const rearDoors = doors.filter(d => d.side !== 'left' && d.side !== 'right');
+  const sideDoors = doors.filter(d => d.side === 'left' || d.side === 'right');
+
+  function bounds(a, message) {
+    errors.push({ type: 'BOUNDS', severity: 'error', message, cases: [a.name] });
+  }
 
   for (let i = 0; i < placements.length; i++) {
     const a = placements[i];
     if (a.x < -TOLERANCE)
-      errors.push(`BOUNDS: "${a.name}" x=${a.x.toFixed(1)} < 0 (outside truck left)`);
+      bounds(a, `"${a.name}" x=${a.x.toFixed(1)} < 0 (outside truck left)`);
     if (a.x + a.width > TRUCK_W + TOLERANCE)
-      errors.push(`BOUNDS: "${a.name}" x+w=${(a.x + a.width).toFixed(1)} > ${TRUCK_W} (outside truck right)`);
+      bounds(a, `"${a.name}" x+w=${(a.x + a.width).toFixed(1)} > ${TRUCK_W} (outside truck right)`);
     if (a.z < -TOLERANCE)
-      errors.push(`BOUNDS: "${a.name}" z=${a.z.toFixed(1)} < 0 (below floor)`);
+      bounds(a, `"${a.name}" z=${a.z.toFixed(1)} < 0 (below floor)`);
     if (a.y < -TOLERANCE)
-      errors.push(`BOUNDS: "${a.name}" y=${a.y.toFixed(1)} < 0 (behind cab wall)`);
+      bounds(a, `"${a.name}" y=${a.y.toFixed(1)} < 0 (behind cab wall)`);
+    if (a.z + a.height > TRUCK_H + TOLERANCE) {
+      errors.push({
+        type: 'HEIGHT', severity: 'error', cases: [a.name], wallId: a._wallId,
+        message: `"${a.name}" z+h=${(a.z + a.height).toFixed(1)} > ${TRUCK_H} (above the roof)`,
+      });
+    }
+    if (a.y + a.depth > TRUCK_L + TOLERANCE) {
+      errors.push({
+        type: 'OVERFLOW', severity: 'error', cases: [a.name], wallId: a._wallId,
+        message: `"${a.name}" y+d=${(a.y + a.depth).toFixed(1)} > ${TRUCK_L} (past the door)`,
+      });
+    }
+    // Smallest loadable cross-section: the case turned flat-side first, never tipped
+    const through = a.door === 'side' && sideDoors.length ? sideDoors : rearDoors;
+    const section = Math.min(a.width, a.depth);
+    if (through.length && !through.some(d => section <= d.width + TOLERANCE && a.height <= d.height + TOLERANCE)) {
+      const d = through[0];
+      errors.push({
+        type: 'DOOR', severity: 'error', cases: [a.name], wallId: a._wallId,
+        message: `"${a.name}" ${section}×${a.height}" won't pass the ${d.label || 'door'} (${d.width}×${d.height}")`,
+      });
+    }
+    for (const o of obstructions) {
+      const oz = o.z || 0;
+      if (a.x < o.x + o.width - TOLERANCE && o.x < a.x + a.width - TOLERANCE &&
+          a.y < o.y + o.depth - TOLERANCE && o.y < a.y + a.depth - TOLERANCE &&
+          a.z < oz + o.height - TOLERANCE && oz < a.z + a.height - TOLERANCE) {
+        errors.push({
+          type: 'OBSTRUCTION', severity: 'error', cases: [a.name], wallId: a._wallId,
+          message: `"${a.name}" at (${a.x.toFixed(0)},${a.y.toFixed(0)},${a.z.toFixed(0)}) runs into ${o.label || 'a truck obstruction'}`,
+        });
+      }
+    }
 
     for (let j = i + 1; j < placements.length; j++) {
       const b = placements[j];
@@ -958,7 +2255,10 @@ function wpValidatePlacements(placements, truckWidth) {
       const oy = a.y < b.y + b.depth - TOLERANCE && b.y < a.y + a.depth - TOLERANCE;
       const oz = a.z < b.z + b.height - TOLERANCE && b.z < a.z + a.height - TOLERANCE;
       if (ox && oy && oz) {
-        errors.push(`OVERLAP: "${a.name}" and "${b.name}" at (${a.x.toFixed(0)},${a.y.toFixed(0)},${a.z.toFixed(0)}) vs (${b.x.toFixed(0)},${b.y.toFixed(0)},${b.z.toFixed(0)})`);
+        errors.push({
+          type: 'OVERLAP', severity: 'error', cases: [a.name, b.name],
+          message: `"${a.name}" and "${b.name}" at (${a.x.toFixed(0)},${a.y.toFixed(0)},${a.z.toFixed(0)}) vs (${b.x.toFixed(0)},${b.y.toFixed(0)},${b.z.toFixed(0)})`,
+        });
       }
     }
   }
@@ -971,19 +2271,361 @@ function wpValidatePlacements(placements, truckWidth) {
   }
   for (const [wallId, wps] of Object.entries(wallGroups)) {
     if (wps.length < 2) continue;
-    const depths = wps.map(p => p.depth);
+    // Side-door walls face the side: their flat face is across the truck
+    const depths = wps.map(p => (p.door === 'side' ? p.width : p.depth));
     const minD = Math.min(...depths), maxD = Math.max(...depths);
     const delta = maxD - minD;
-    if (delta > 8) {
-      errors.push(`FLAT-FACE: wall ${wallId} — depth range ${minD}"-${maxD}" (delta=${delta}" > 8" — CRITICAL)`);
-    } else if (delta > DEPTH_TOL) {
-      errors.push(`FLAT-FACE: wall ${wallId} — depth range ${minD}"-${maxD}" (delta=${delta}" > ${DEPTH_TOL}" — acceptable)`);
+    if (delta > DEPTH_TOL) {
+      const critical = delta > tuning.flatFace;
+      errors.push({
+        type: 'FLAT_FACE', severity: critical ? 'error' : 'warning', wallId,
+        cases: wps.map(p => p.name),
+        message: `wall ${wallId} — depth range ${minD}"-${maxD}" (delta=${delta}" > ${critical ? `${tuning.flatFace}" — CRITICAL` : `${DEPTH_TOL}" — acceptable`})`,
+      });
     }
   }
 
+  errors.push(...wpValidateLoads(placements, TOLERANCE));
+
+  return errors;
+}
+
+// ── Crush validation: weight resting on each case vs. what it may take ──
+function wpValidateLoads(placements, TOLERANCE) {
+  const errors = [];
+  const overlaps = (a, b) =>
+    Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x) > TOLERANCE &&
+    Math.min(a.y + a.depth, b.y + b.depth) - Math.max(a.y, b.y) > TOLERANCE;
+  // Cases resting directly on each case; a case on two supports loads both
+  const onTop = new Map(placements.map(a => [a, placements.filter(b =>
+    b !== a && Math.abs(b.z - (a.z + a.height)) <= TOLERANCE && overlaps(a, b))]));
+  const loads = new Map();
+  const loadOn = a => {
+    if (!loads.has(a)) loads.set(a, onTop.get(a).reduce((s, b) => s + (b.weight || 0) + loadOn(b), 0));
+    return loads.get(a);
+  };
+
+  for (const a of placements) {
+    const rolled = !caseHasFlatTop(a) && onTop.get(a).find(b => b.subgroup !== a.subgroup);
+    if (rolled) {
+      errors.push({
+        type: 'SHAPE', severity: 'error', cases: [a.name, rolled.name], wallId: a._wallId,
+        message: `"${rolled.name}" rests on the round top of lying cylinder "${a.name}"`,
+      });
+    }
+    const limit = caseLoadLimit(a);
+    const above = onTop.get(a);
+    if (!isFinite(limit) || !above.length) continue;
+    if (limit === 0) {
+      const why = a.fragile ? 'is fragile' : a.topOnly ? 'is top-only' : "can't bear load";
+      errors.push({
+        type: 'CRUSH', severity: 'error', cases: [a.name, ...above.map(b => b.name)], wallId: a._wallId,
+        message: `"${a.name}" ${why} but "${above[0].name}" is stacked on it`,
+      });
+    } else if (loadOn(a) > limit + TOLERANCE) {
+      errors.push({
+        type: 'CRUSH', severity: 'error', cases: [a.name], wallId: a._wallId,
+        message: `"${a.name}" carries ${Math.round(loadOn(a))} lb > ${limit} lb max load on top`,
+      });
+    }
+  }
   return errors;
 }
 
+// Load-bearing fields (and shape) carried from a case to its placement
+function wpLoadFields(c) {
+  return {
+    shape: c.shape || 'box',
+    canBearLoad: c.canBearLoad !== false,
+    fragile: !!c.fragile,
+    topOnly: !!c.topOnly,
+    maxLoadOnTop: typeof c.maxLoadOnTop === 'number' ? c.maxLoadOnTop : null,
+  };
+}
+
+/**
+ * Most weight (lb) that may rest on a case, counting everything stacked above it:
+ * 0 when nothing may go on top (fragile, topOnly or canBearLoad false), its
+ * maxLoadOnTop when set, else Infinity.
+ *
+ * @param {Object} c — case object or placement
+ * @returns {number}
+ */
+export function caseLoadLimit(c) {
+  if (c.fragile || c.topOnly || c.canBearLoad === false) return 0;
+  return typeof c.maxLoadOnTop === 'number' && c.maxLoadOnTop >= 0 ? c.maxLoadOnTop : Infinity;
+}
+
+/**
+ * Whether a case has a flat top other cases can sit on. A lying cylinder is
+ * round on top: only more of its own subgroup (rolls nested on rolls) go on it.
+ *
+ * @param {Object} c — case object or placement
+ * @returns {boolean}
+ */
+export function caseHasFlatTop(c) {
+  return c.shape !== 'cylinder-lying';
+}
+
+/**
+ * The cylinder inside a placed case's bounding box: its axis, radius and length
+ * (null for a box). A standing cylinder's axis is up; a lying one's runs along
+ * whichever of width/depth isn't the diameter, so a turned roll keeps its axis.
+ *
+ * @param {Object} p — placement { width, depth, height, shape? }
+ * @returns {{ axis: 'x'|'y'|'z', radius: number, length: number }|null}
+ */
+export function caseCylinder(p) {
+  if (p.shape === 'cylinder-standing') {
+    return { axis: 'z', radius: Math.min(p.width, p.depth) / 2, length: p.height };
+  }
+  if (p.shape === 'cylinder-lying') {
+    const alongX = Math.abs(p.depth - p.height) <= Math.abs(p.width - p.height);
+    return alongX
+      ? { axis: 'x', radius: Math.min(p.depth, p.height) / 2, length: p.width }
+      : { axis: 'y', radius: Math.min(p.width, p.height) / 2, length: p.depth };
+  }
+  return null;
+}
+
+// ── Payload + axle-load validation ──
+function wpValidateWeight(weight) {
+  const errors = [];
+  const TOLERANCE = 0.5;
+
+  if (weight.maxPayload > 0 && weight.total > weight.maxPayload + TOLERANCE) {
+    errors.push({
+      type: 'PAYLOAD', severity: 'error', cases: [],
+      message: `total ${Math.round(weight.total)} lb > ${weight.maxPayload} lb max payload (over by ${Math.round(weight.total - weight.maxPayload)} lb)`,
+    });
+  }
+  for (const axle of weight.axles) {
+    if (axle.maxLoad > 0 && axle.load > axle.maxLoad + TOLERANCE) {
+      errors.push({
+        type: 'AXLE', severity: 'error', cases: [],
+        message: `${axle.label} carries ${Math.round(axle.load)} lb > ${axle.maxLoad} lb limit (over by ${Math.round(axle.load - axle.maxLoad)} lb)`,
+      });
+    }
+    if (axle.load < -TOLERANCE) {
+      errors.push({
+        type: 'AXLE', severity: 'error', cases: [],
+        message: `${axle.label} is lifted (${Math.round(axle.load)} lb) — load is cantilevered past the other axle`,
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Compute total cargo weight and how it splits across the truck axles.
+ *
+ * The cargo box is modelled as a beam on two supports: the first and last
+ * entries of `axles` (positions in inches from the cab wall, y = 0; negative
+ * = ahead of the box). Each case's weight acts at its footprint center and is
+ * shared by lever rule; intermediate axles are ignored. A single axle carries
+ * everything; two axles at the same position share it evenly.
+ *
+ * @param {Object[]} placements — solver placements (weight in lb, 0 = unknown)
+ * @param {Object} config — { maxPayload, axles: [{ label, position, maxLoad }] }
+ * @returns {{ total: number, maxPayload: number, axles: Object[] }}
+ */
+export function computeLoadWeight(placements, config) {
+  const total = placements.reduce((s, p) => s + (p.weight || 0), 0);
+  const sorted = (config.axles || []).slice().sort((a, b) => a.position - b.position);
+  const supports = sorted.length > 2 ? [sorted[0], sorted[sorted.length - 1]] : sorted;
+  const axles = supports.map(a => ({ label: a.label, position: a.position, maxLoad: a.maxLoad || 0, load: 0 }));
+
+  if (axles.length === 1) {
+    axles[0].load = total;
+  } else if (axles.length >= 2) {
+    const front = axles[0], rear = axles[axles.length - 1];
+    const span = rear.position - front.position;
+    for (const p of placements) {
+      if (!p.weight) continue;
+      const yc = p.y + p.depth / 2;
+      const rearShare = span > 0 ? p.weight * (yc - front.position) / span : p.weight / 2;
+      rear.load += rearShare;
+      front.load += p.weight - rearShare;
+    }
+  }
+
+  return { total, maxPayload: config.maxPayload || 0, axles };
+}
+
+/**
+ * Compute the weight-based center of gravity of a load.
+ * Each case's weight acts at its box center. Returns null when no case has a weight.
+ *
+ * @param {Object[]} placements — solver placements
+ * @param {Object} config — { truckWidth, truckLength }
+ * @returns {{ x: number, y: number, z: number, weight: number,
+ *   lateralOffset: number, lateralPct: number, longitudinalPct: number }|null}
+ *   lateralOffset: inches right (+) / left (−) of the truck centerline;
+ *   lateralPct: that offset as % of half the truck width;
+ *   longitudinalPct: y as % of the truck length from the cab
+ */
+export function computeCenterOfGravity(placements, config) {
+  let weight = 0, mx = 0, my = 0, mz = 0;
+  for (const p of placements) {
+    const wt = p.weight || 0;
+    if (!wt) continue;
+    weight += wt;
+    mx += wt * (p.x + p.width / 2);
+    my += wt * (p.y + p.depth / 2);
+    mz += wt * (p.z + p.height / 2);
+  }
+  if (weight <= 0) return null;
+
+  const truckWidth = config.truckWidth || 98;
+  const truckLength = config.truckLength || 624;
+  const x = mx / weight, y = my / weight, z = mz / weight;
+  const lateralOffset = x - truckWidth / 2;
+  return {
+    x, y, z, weight,
+    lateralOffset,
+    lateralPct: (lateralOffset / (truckWidth / 2)) * 100,
+    longitudinalPct: (y / truckLength) * 100,
+  };
+}
+
+/**
+ * Plan how the load is secured: a load bar or an e-track strap across the truck at
+ * the door-side face of each wall, so every wall is held before the next goes in.
+ *
+ * Floor panel rows and faces the cases fill (at least `minFill` of the width) take
+ * load bars, partial faces straps; walls taller than WP_STRAP_ROW_HEIGHT get a row per 48" of height.
+ * With `strapSpacing` set, a face is only secured once the load has grown that many
+ * inches past the last one — but floor panel rows, the last wall of each delivery stop
+ * and the last wall of the load always are. Side-door walls get a strap along the truck at their face toward the door.
+ *
+ * @param {Object[]} wallSections — solver wallSections (or the editor's)
+ * @param {Object} config — { truckWidth, doors }
+ * @param {Object} [tuning] — resolved tuning (minFill, strapSpacing), see resolveTuning
+ * @returns {{ items: Object[], bars: number, straps: number }}
+ *   items: [{ type: 'bar'|'strap', axis: 'x'|'y', x, y, z, length, wallIds, label, stop, reason }]
+ *     axis 'x': across the truck at depth y, from x for `length`; axis 'y': along the
+ *     truck at x, from y for `length`. z: height above the floor. wallIds / label: the
+ *     wall sections held. reason: 'wall' | 'spacing' | 'stop' (last wall of a stop) | 'door' (last wall)
+ */
+export function computeSecuringPlan(wallSections, config, tuning = WP_TUNING_DEFAULTS) {
+  const truckWidth = config.truckWidth || 98;
+  const spacing = tuning.strapSpacing || 0;
+  const items = [];
+  const topOf = sections => Math.max(0, ...sections.flatMap(ws => (ws.placements || []).map(p => (p.z || 0) + p.height)));
+  const stopOf = face => Math.max(0, ...face.sections.map(ws => ws.stop || 0));
+  const addRows = (item, height) => {
+    const n = Math.max(1, Math.ceil(height / WP_STRAP_ROW_HEIGHT));
+    for (let i = 0; i < n; i++) items.push({ ...item, z: Math.round((height * (i + 0.5)) / n) });
+  };
+
+  // Rear-loaded walls, by face depth — walls ending within 1" of each other share a face
+  const rear = wallSections.filter(ws => ws.section !== 'SIDE' && ws.caseCount > 0);
+  const faces = [];
+  for (const ws of rear.slice().sort((a, b) => a.yEnd - b.yEnd)) {
+    const last = faces[faces.length - 1];
+    if (last && ws.yEnd - last.y <= 1) last.sections.push(ws);
+    else faces.push({ y: ws.yEnd, sections: [ws] });
+  }
+  // A face another wall reaches past (a pinned case beside it) has nothing to bear on
+  const open = faces.filter(f => !rear.some(ws => ws.yStart < f.y - 1 && ws.yEnd > f.y + 1));
+
+  let securedY = 0;
+  open.forEach((face, i) => {
+    const next = open[i + 1];
+    const stop = stopOf(face);
+    let reason = '';
+    if (!next) reason = 'door';
+    else if (stopOf(next) !== stop) reason = 'stop';
+    else if (!spacing || face.sections.some(ws => ws.floor)) reason = 'wall';
+    else if (face.y - securedY >= spacing) reason = 'spacing';
+    if (!reason) return;
+    securedY = face.y;
+    const filled = Math.min(truckWidth, face.sections.reduce((s, ws) => s + (ws.wallWidth || 0), 0));
+    addRows({
+      type: face.sections.some(ws => ws.floor) || filled >= truckWidth * tuning.minFill - 0.5 ? 'bar' : 'strap',
+      axis: 'x', x: 0, y: face.y, length: truckWidth,
+      wallIds: face.sections.map(ws => ws.id), label: face.sections.map(ws => ws.label).join(' + '),
+      stop, reason,
+    }, topOf(face.sections));
+  });
+
+  // Side-door walls run along the truck; a left door opens at x = 0
+  const sideDoor = (config.doors || []).find(d => d.side === 'left' || d.side === 'right');
+  for (const ws of wallSections.filter(w => w.section === 'SIDE' && w.caseCount > 0)) {
+    const ps = ws.placements;
+    const x = sideDoor && sideDoor.side === 'right'
+      ? Math.max(...ps.map(p => p.x + p.width))
+      : Math.min(...ps.map(p => p.x));
+    const y = Math.min(...ps.map(p => p.y));
+    addRows({
+      type: 'strap', axis: 'y', x, y, length: Math.max(...ps.map(p => p.y + p.depth)) - y,
+      wallIds: [ws.id], label: ws.label, stop: ws.stop || 0, reason: 'wall',
+    }, topOf([ws]));
+  }
+
+  return {
+    items,
+    bars: items.filter(it => it.type === 'bar').length,
+    straps: items.filter(it => it.type === 'strap').length,
+  };
+}
+
+/**
+ * Find the side gaps left in partial walls — walls under `gapThresh` of the width —
+ * where cases could slide, and suggest what fills each one.
+ *
+ * A void is the width across the truck that nothing covers over the wall's whole
+ * depth: not its own cases, not a pinned or side-door case beside it, not an
+ * obstruction. It is as tall as the tallest case next to it (the wall's height
+ * profile), so each void is a box that can be drawn as a virtual filler block.
+ *
+ * @param {Object[]} wallSections — solver wallSections (or the editor's)
+ * @param {Object} config — { truckWidth, obstructions }
+ * @param {Object} [tuning] — resolved tuning (gapThresh), see resolveTuning
+ * @returns {Object[]} — [{ wallId, label, x, y, z, width, depth, height, fill, note }]
+ *   fill: 'blanket' (up to 4"), 'airbag' (up to 12") or 'dunnage' (wider); note says
+ *   where and what to use ("Gap on the right of wall [LX] — dunnage airbag")
+ */
+export function computeVoids(wallSections, config, tuning = WP_TUNING_DEFAULTS) {
+  const truckWidth = config.truckWidth || 98;
+  const all = wallSections.flatMap(ws => ws.placements || []);
+  const voids = [];
+
+  for (const ws of wallSections) {
+    if (ws.section === 'SIDE' || ws.section === 'PINNED' || !ws.caseCount) continue;
+    if (ws.fillPct >= tuning.gapThresh * 100) continue;
+    const { yStart, yEnd } = ws;
+    const across = b => b.y < yEnd - 1 && b.y + b.depth > yStart + 1;
+
+    // Taken x ranges: any case or obstruction reaching into the wall's depth
+    const taken = all.filter(across).map(p => [p.x, p.x + p.width])
+      .concat((config.obstructions || []).filter(across).map(o => [o.x, o.x + o.width]))
+      .sort((a, b) => a[0] - b[0]);
+    let x = 0;
+    const gaps = [];
+    for (const [from, to] of taken.concat([[truckWidth, truckWidth]])) {
+      if (from - x >= WP_VOID_MIN) gaps.push([x, from]);
+      x = Math.max(x, to);
+    }
+
+    for (const [from, to] of gaps) {
+      const width = to - from;
+      // As tall as the cases either side of the gap
+      const beside = ws.placements.filter(p => Math.abs(p.x + p.width - from) < 0.5 || Math.abs(p.x - to) < 0.5);
+      const height = Math.max(...(beside.length ? beside : ws.placements).map(p => (p.z || 0) + p.height));
+      const { fill, label } = WP_VOID_FILLS.find(f => width <= f.max);
+      const where = from < 0.5 ? 'on the left of' : to > truckWidth - 0.5 ? 'on the right of' : 'inside';
+      voids.push({
+        wallId: ws.id, label: ws.label,
+        x: from, y: yStart, z: 0, width, depth: yEnd - yStart, height,
+        fill,
+        note: `Gap ${where} wall [${ws.label}] — ${label}`,
+      });
+    }
+  }
+  return voids;
+}
+
 /**
  * Auto-generate department priority from case list.
  * Departments are ordered by first appearance, with common priorities:
@@ -1,24 +1,33 @@
 // spreadsheet.js — Integrated spreadsheet editor using jspreadsheet-ce v4
 // Wraps jspreadsheet-ce (loaded as global via CDN) with truck load planner logic.
 
+import { parseUnit, headerUnit, toInches, fromInches } from './units.js';
+import { parseShape, shapeBounds } from './sheet-loader.js';
+
 const STORAGE_KEY = 'tlp-spreadsheet-data';
 
 // Column index constants
 const COL = {
   NOM: 0, LARGEUR: 1, PROFONDEUR: 2, HAUTEUR: 3, DEPT: 4, QTY: 5,
   STACKABLE: 6, MAX_STACK: 7, IS_FLOOR: 8, ALLOW_ROTATION: 9,
-  GROUP: 10, SELECTION: 11,
+  GROUP: 10, SELECTION: 11, POIDS: 12, CAMION: 13, STOP: 14, CAN_BEAR_LOAD: 15,
+  PIN_X: 16, PIN_Y: 17, PIN_Z: 18, DOOR: 19, THIS_SIDE_UP: 20,
+  FRAGILE: 21, TOP_ONLY: 22, MAX_LOAD_ON_TOP: 23, UNIT: 24, SHAPE: 25,
 };
+const NUM_COLS = 26;
+
+// Blank row used to pad the grid (defaults match convertToCaseObjects)
+const EMPTY_ROW = ['', '', '', '', '', 1, 'false', 1, 'false', 'true', '', true, '', '', '', 'true', '', '', '', '', 'true', 'false', 'false', '', 'in', ''];
 
 const DEFAULT_DEPT_SOURCE = ['LX', 'SON', 'CARP', 'VID', 'SCENO', 'GENERAL'];
 
 const TEMPLATE_DATA = [
-  ['Coffre éclairage A', 31, 29, 36, 'LX', 3, 'true', 2, 'false', 'true', 'Coffre éclairage', true],
-  ['Rack son', 38, 20, 48, 'SON', 1, 'false', 1, 'false', 'true', 'Rack son', true],
-  ['Console', 44, 30, 18, 'LX', 2, 'true', 2, 'false', 'true', 'Console', true],
-  ['Plancher', 45, 100, 60, 'CARP', 6, 'false', 1, 'true', 'false', 'Plancher', true],
-  ['Câblage', 44, 30, 36, 'LX', 2, 'false', 1, 'false', 'true', 'Câblage', true],
-  ['Moniteur', 31, 24, 32, 'SON', 4, 'true', 2, 'false', 'true', 'Moniteur', true],
+  ['Coffre éclairage A', 31, 29, 36, 'LX', 3, 'true', 2, 'false', 'true', 'Coffre éclairage', true, 180, '', '', 'true', '', '', '', '', 'true', 'false', 'false', '', 'in', ''],
+  ['Rack son', 38, 20, 48, 'SON', 1, 'false', 1, 'false', 'true', 'Rack son', true, 250, '', '', 'true', '', '', '', '', 'true', 'false', 'false', '', 'in', ''],
+  ['Console', 44, 30, 18, 'LX', 2, 'true', 2, 'false', 'true', 'Console', true, 120, '', '', 'true', '', '', '', '', 'true', 'false', 'false', '', 'in', ''],
+  ['Plancher', 45, 100, 60, 'CARP', 6, 'false', 1, 'true', 'false', 'Plancher', true, 300, '', '', 'true', '', '', '', '', 'true', 'false', 'false', '', 'in', ''],
+  ['Câblage', 44, 30, 36, 'LX', 2, 'false', 1, 'false', 'true', 'Câblage', true, 220, '', '', 'true', '', '', '', '', 'true', 'false', 'false', '', 'in', ''],
+  ['Moniteur', 31, 24, 32, 'SON', 4, 'true', 2, 'false', 'true', 'Moniteur', true, 90, '', '', 'true', '', '', '', '', 'true', 'false', 'false', '', 'in', ''],
 ];
 
 // Department color mapping — dark muted tones for dark theme
@@ -49,8 +58,53 @@ const CSV_ALIASES = {
   allow_rotation: ['ALLOW_ROTATION', 'ROTATION'],
   group:     ['GROUP', 'GROUPE', 'SUBGROUP', 'SOUS_GROUPE', 'SOUS-GROUPE'],
   selection: ['SÉLECTION', 'SELECTION', 'SEL', 'SELECTED'],
+  poids:     ['POIDS', 'WEIGHT', 'WT', 'LBS', 'POIDS (LB)'],
+  camion:    ['CAMION', 'TRUCK'],
+  stop:      ['STOP', 'ARRET', 'ARRÊT'],
+  can_bear_load: ['CAN_BEAR_LOAD', 'BEAR_LOAD', 'PORTEUR'],
+  pin_x:     ['PIN_X', 'POS_X'],
+  pin_y:     ['PIN_Y', 'POS_Y'],
+  pin_z:     ['PIN_Z', 'POS_Z'],
+  door:      ['DOOR', 'PORTE'],
+  this_side_up: ['THIS_SIDE_UP', 'SIDE_UP', 'ORIENTATIONS', 'ORIENTATION'],
+  fragile:   ['FRAGILE'],
+  top_only:  ['TOP_ONLY', 'NOTHING_ON_TOP', 'DESSUS_SEULEMENT'],
+  max_load_on_top: ['MAX_LOAD_ON_TOP', 'MAX_LOAD', 'CHARGE_MAX'],
+  unit:      ['UNIT', 'UNITS', 'UNITE', 'UNITÉ', 'UNITÉS'],
+  shape:     ['SHAPE', 'FORME'],
 };
 
+// Pin cells → { x, y, z } in inches, or null when pin_x or pin_y is blank (pin_z defaults to 0)
+function parsePin(px, py, pz) {
+  const num = v => (v === '' || v == null ? NaN : parseFloat(String(v).replace(',', '.')));
+  const x = num(px), y = num(py), z = num(pz);
+  if (isNaN(x) || isNaN(y)) return null;
+  return { x, y, z: isNaN(z) ? 0 : z };
+}
+
+// Door cell → 'side' (loaded through the truck's side door) or '' (rear door)
+function parseDoor(val) {
+  return /^(side|s|c[oô]t[eé]|lat[eé]ral)$/i.test(String(val == null ? '' : val).trim()) ? 'side' : '';
+}
+
+// this_side_up cell → 'false' when the case may be laid down ("false", "any" in an
+// orientations column...), else 'true' (blank = upright only)
+function parseSideUp(val) {
+  return /^(false|faux|non|no|0|any|all|toutes?|libre)$/i.test(String(val == null ? '' : val).trim()) ? 'false' : 'true';
+}
+
+// Header cell matches one of a field's aliases, as written or without its unit: "Largeur (cm)"
+function csvHeaderMatches(header, aliases) {
+  const h = String(header).trim().toUpperCase();
+  return aliases.includes(h) || aliases.includes(h.replace(/\s*\([^)]*\)$/, ''));
+}
+
+// Shape cell → 'cylinder-standing' / 'cylinder-lying', or '' for a box
+function parseShapeCell(val) {
+  const shape = parseShape(val);
+  return shape === 'box' ? '' : shape;
+}
+
 /**
  * SpreadsheetEditor — integrated spreadsheet for case data editing.
  */
@@ -60,6 +114,7 @@ export class SpreadsheetEditor {
     this.jss = null; // jspreadsheet instance
     this.deptSource = [...DEFAULT_DEPT_SOURCE];
     this.onDataChange = null; // callback: () => {}
+    this.defaultUnit = 'in'; // length unit of rows with a blank unit cell (see setDefaultUnit)
     this._lastCheckboxRow = null; // for shift+click range selection
 
     this._init();
@@ -76,13 +131,13 @@ export class SpreadsheetEditor {
 
     // Ensure minimum empty rows for easy editing
     while (data.length < 20) {
-      data.push(['', '', '', '', '', 1, 'false', 1, 'false', 'true', '', true]);
+      data.push(this._emptyRow());
     }
 
     this.jss = window.jspreadsheet(container, {
       data,
       columns: this._getColumns(),
-      minDimensions: [12, 20],
+      minDimensions: [NUM_COLS, 20],
       tableOverflow: true,
       tableWidth: '100%',
       tableHeight: '100%',
@@ -123,6 +178,20 @@ export class SpreadsheetEditor {
       { type: 'dropdown', title: 'allow_rot', width: 85, source: ['true', 'false'] },
       { type: 'text', title: 'group', width: 130 },
       { type: 'checkbox', title: 'sélection', width: 75 },
+      { type: 'numeric', title: 'poids', width: 70 },
+      { type: 'text', title: 'camion', width: 70 },
+      { type: 'numeric', title: 'stop', width: 55 },
+      { type: 'dropdown', title: 'can_bear_load', width: 100, source: ['true', 'false'] },
+      { type: 'numeric', title: 'pin_x', width: 60 },
+      { type: 'numeric', title: 'pin_y', width: 60 },
+      { type: 'numeric', title: 'pin_z', width: 60 },
+      { type: 'dropdown', title: 'door', width: 65, source: ['rear', 'side'], allowEmpty: true },
+      { type: 'dropdown', title: 'this_side_up', width: 95, source: ['true', 'false'] },
+      { type: 'dropdown', title: 'fragile', width: 70, source: ['true', 'false'] },
+      { type: 'dropdown', title: 'top_only', width: 75, source: ['true', 'false'] },
+      { type: 'numeric', title: 'max_load_on_top', width: 115 },
+      { type: 'dropdown', title: 'unit', width: 55, source: ['in', 'cm', 'mm', 'm', 'ft'], allowEmpty: true },
+      { type: 'dropdown', title: 'shape', width: 120, source: ['box', 'cylinder-standing', 'cylinder-lying'], allowEmpty: true },
     ];
   }
 
@@ -138,9 +207,15 @@ export class SpreadsheetEditor {
 
     for (const row of data) {
       const nom = String(row[COL.NOM] || '').trim();
-      const largeur = parseFloat(row[COL.LARGEUR]) || 0;
-      const profondeur = parseFloat(row[COL.PROFONDEUR]) || 0;
-      const hauteur = parseFloat(row[COL.HAUTEUR]) || 0;
+      // Lengths in the row's unit (blank: the sheet default), converted to inches
+      const unit = parseUnit(row[COL.UNIT]) || this.defaultUnit;
+      const inches = v => toInches(v, unit);
+      // Cylinders are packed as their bounding box
+      const shape = parseShape(row[COL.SHAPE]);
+      const { width: largeur, depth: profondeur, height: hauteur } = shapeBounds(shape,
+        inches(parseFloat(row[COL.LARGEUR]) || 0),
+        inches(parseFloat(row[COL.PROFONDEUR]) || 0),
+        inches(parseFloat(row[COL.HAUTEUR]) || 0));
       const dept = String(row[COL.DEPT] || 'GENERAL').trim();
       const qty = parseInt(row[COL.QTY]) || 1;
       const stackable = row[COL.STACKABLE] === 'true' || row[COL.STACKABLE] === true;
@@ -149,6 +224,17 @@ export class SpreadsheetEditor {
       const allowRotation = row[COL.ALLOW_ROTATION] !== 'false' && row[COL.ALLOW_ROTATION] !== false;
       const group = String(row[COL.GROUP] || '').trim();
       const selection = row[COL.SELECTION] === true || row[COL.SELECTION] === 'true';
+      const poids = parseFloat(row[COL.POIDS]) || 0;
+      const camion = String(row[COL.CAMION] || '').trim();
+      const stop = parseInt(row[COL.STOP]) || 0;
+      const canBearLoad = row[COL.CAN_BEAR_LOAD] !== 'false' && row[COL.CAN_BEAR_LOAD] !== false;
+      const rawPin = parsePin(row[COL.PIN_X], row[COL.PIN_Y], row[COL.PIN_Z]);
+      const pin = rawPin && { x: inches(rawPin.x), y: inches(rawPin.y), z: inches(rawPin.z) };
+      const door = parseDoor(row[COL.DOOR]);
+      const thisSideUp = row[COL.THIS_SIDE_UP] !== 'false' && row[COL.THIS_SIDE_UP] !== false;
+      const fragile = row[COL.FRAGILE] === 'true' || row[COL.FRAGILE] === true;
+      const topOnly = row[COL.TOP_ONLY] === 'true' || row[COL.TOP_ONLY] === true;
+      const maxLoad = parseFloat(String(row[COL.MAX_LOAD_ON_TOP] ?? '').replace(',', '.'));
 
       // Skip unselected
       if (!selection) continue;
@@ -163,6 +249,10 @@ export class SpreadsheetEditor {
         continue;
       }
 
+      if (pin && qty > 1) {
+        console.warn(`[Spreadsheet] "${nom}" is pinned with qty ${qty} — only the first case is pinned`);
+      }
+
       // Expand qty
       for (let q = 0; q < qty; q++) {
         const caseName = qty > 1 ? `${nom} #${q + 1}` : nom;
@@ -173,6 +263,7 @@ export class SpreadsheetEditor {
           width: largeur,
           depth: profondeur,
           height: hauteur,
+          weight: poids,
           dept: dept || 'GENERAL',
           subgroup: group || nom,
           group: group || nom,
@@ -181,7 +272,17 @@ export class SpreadsheetEditor {
           isFloor,
           allowRotation,
           rotation: 0,
-          truck: '',
+          truck: camion,
+          stop,
+          canBearLoad,
+          pin: q === 0 ? pin : null,
+          door,
+          thisSideUp,
+          fragile,
+          topOnly,
+          maxLoadOnTop: isNaN(maxLoad) ? null : maxLoad,
+          shape,
+          unit,
           detail: '',
           num_caisse: '',
           block_name: '',
@@ -206,11 +307,14 @@ export class SpreadsheetEditor {
       const baseName = c.nom ? c.nom.replace(/ #\d+$/, '') : (c.name || '').replace(/ #\d+$/, '');
 
       if (!rowMap.has(baseName)) {
+        // Lengths back in the case's source unit
+        const unit = parseUnit(c.unit) || 'in';
+        const len = v => Math.round(fromInches(v, unit) * 100) / 100;
         rowMap.set(baseName, {
           nom: baseName,
-          largeur: c.width,
-          profondeur: c.depth,
-          hauteur: c.height,
+          largeur: len(c.width),
+          profondeur: len(c.depth),
+          hauteur: len(c.height),
           dept: c.dept || 'GENERAL',
           qty: 1,
           stackable: c.stackable ? 'true' : 'false',
@@ -219,6 +323,18 @@ export class SpreadsheetEditor {
           allowRotation: c.allowRotation !== false ? 'true' : 'false',
           group: c.group || c.subgroup || '',
           selection: true,
+          poids: c.weight || '',
+          camion: c.truck || '',
+          stop: c.stop || '',
+          canBearLoad: c.canBearLoad !== false ? 'true' : 'false',
+          pin: c.pin ? { x: len(c.pin.x), y: len(c.pin.y), z: len(c.pin.z || 0) } : null,
+          door: c.door || '',
+          thisSideUp: c.thisSideUp !== false ? 'true' : 'false',
+          fragile: c.fragile ? 'true' : 'false',
+          topOnly: c.topOnly ? 'true' : 'false',
+          maxLoadOnTop: c.maxLoadOnTop ?? '',
+          unit,
+          shape: parseShapeCell(c.shape),
         });
       } else {
         rowMap.get(baseName).qty++;
@@ -228,11 +344,14 @@ export class SpreadsheetEditor {
     const data = Array.from(rowMap.values()).map(r => [
       r.nom, r.largeur, r.profondeur, r.hauteur, r.dept, r.qty,
       r.stackable, r.maxStack, r.isFloor, r.allowRotation, r.group, r.selection,
+      r.poids, r.camion, r.stop, r.canBearLoad,
+      r.pin ? r.pin.x : '', r.pin ? r.pin.y : '', r.pin ? r.pin.z : '', r.door, r.thisSideUp,
+      r.fragile, r.topOnly, r.maxLoadOnTop, r.unit, r.shape,
     ]);
 
     // Pad with empty rows
     while (data.length < 20) {
-      data.push(['', '', '', '', '', 1, 'false', 1, 'false', 'true', '', true]);
+      data.push(this._emptyRow());
     }
 
     this.jss.setData(data);
@@ -246,6 +365,73 @@ export class SpreadsheetEditor {
     console.log(`[Spreadsheet] Loaded ${rowMap.size} rows from ${cases.length} case objects`);
   }
 
+  // ── Public: write pins set in the editor back to the sheet ──
+  // pins: [{ name, pin: { x, y, z }|null, width, depth }] — name is the case name
+  // ("Rack son", "Coffre éclairage A #2"), null unpins, width/depth the footprint
+  // as placed. Pinning one case of a qty > 1 row moves it to a row of its own;
+  // a case pinned a quarter turn from the sheet gets largeur/profondeur swapped.
+  setPins(pins) {
+    const data = this.jss.getData().map(row => [...row]);
+    let changed = 0;
+    for (const { name, pin, width, depth } of pins) {
+      const base = name.replace(/ #\d+$/, '');
+      let idx = data.findIndex(row => String(row[COL.NOM] || '').trim() === name);
+      if (idx < 0) idx = data.findIndex(row => String(row[COL.NOM] || '').trim() === base);
+      if (idx < 0) {
+        console.warn(`[Spreadsheet] No row for pinned case "${name}"`);
+        continue;
+      }
+      let row = data[idx];
+      const qty = parseInt(row[COL.QTY]) || 1;
+      if (pin && qty > 1) {
+        row[COL.QTY] = qty - 1;
+        row = [...row];
+        row[COL.NOM] = `${name} (pinned)`;
+        row[COL.QTY] = 1;
+        row[COL.GROUP] = String(data[idx][COL.GROUP] || '').trim() || base;
+        data.splice(idx + 1, 0, row);
+      }
+      // Editor positions are in inches; the row keeps its own unit
+      const unit = parseUnit(row[COL.UNIT]) || this.defaultUnit;
+      const len = v => Math.round(fromInches(v, unit) * 10) / 10;
+      row[COL.PIN_X] = pin ? len(pin.x) : '';
+      row[COL.PIN_Y] = pin ? len(pin.y) : '';
+      row[COL.PIN_Z] = pin ? len(pin.z) : '';
+      const w = toInches(parseFloat(row[COL.LARGEUR]), unit), d = toInches(parseFloat(row[COL.PROFONDEUR]), unit);
+      const same = (a, b) => Math.abs(a - b) < 0.05;
+      if (pin && !same(w, d) && same(w, depth) && same(d, width)) {
+        row[COL.LARGEUR] = d;
+        row[COL.PROFONDEUR] = w;
+      }
+      changed++;
+    }
+    if (changed === 0) return 0;
+
+    this.jss.setData(data);
+    this._applyAllRowStyles();
+    this._saveToLocalStorage();
+    console.log(`[Spreadsheet] Updated pins on ${changed} rows`);
+    return changed;
+  }
+
+  // ── Public: unit of rows with a blank unit cell; blank rows are stamped with it ──
+  setDefaultUnit(unit) {
+    this.defaultUnit = parseUnit(unit) || 'in';
+    if (!this.jss) return;
+    const data = this.jss.getData();
+    let changed = 0;
+    for (const row of data) {
+      if (String(row[COL.NOM] || '').trim() === '' && row[COL.UNIT] !== this.defaultUnit) {
+        row[COL.UNIT] = this.defaultUnit;
+        changed++;
+      }
+    }
+    if (changed === 0) return;
+    this.jss.setData(data);
+    this._applyAllRowStyles();
+    this._saveToLocalStorage();
+  }
+
   // ── Public: import CSV text ──
   importCSV(csvText) {
     const parsed = this._parseCSV(csvText);
@@ -256,6 +442,8 @@ export class SpreadsheetEditor {
     const isHeader = this._matchCSVHeader(firstRow);
     const colMap = isHeader ? this._buildCSVColumnMap(firstRow) : null;
     const dataRows = isHeader ? parsed.slice(1) : parsed;
+    // Rows without a unit cell: the largeur header's unit ("Largeur (cm)"), else the sheet unit
+    const csvUnit = (colMap && headerUnit(firstRow[colMap.largeur])) || this.defaultUnit;
 
     const data = [];
     for (const row of dataRows) {
@@ -276,11 +464,25 @@ export class SpreadsheetEditor {
           this._normBool(row[colMap.allow_rotation], 'true'),
           row[colMap.group] || '',
           this._normBool(row[colMap.selection], 'true') === 'true',
+          parseFloat(row[colMap.poids]) || '',
+          row[colMap.camion] || '',
+          parseInt(row[colMap.stop]) || '',
+          this._normBool(row[colMap.can_bear_load], 'true'),
+          this._normNum(row[colMap.pin_x]),
+          this._normNum(row[colMap.pin_y]),
+          this._normNum(row[colMap.pin_z]),
+          parseDoor(row[colMap.door]),
+          parseSideUp(row[colMap.this_side_up]),
+          this._normBool(row[colMap.fragile]),
+          this._normBool(row[colMap.top_only]),
+          this._normNum(row[colMap.max_load_on_top]),
+          parseUnit(row[colMap.unit]) || csvUnit,
+          parseShapeCell(row[colMap.shape]),
         ]);
       } else {
         // Assume columns are in our order: nom, largeur, profondeur, hauteur, ...
         const padded = [...row];
-        while (padded.length < 12) padded.push('');
+        while (padded.length < NUM_COLS) padded.push('');
         data.push([
           padded[0],
           parseFloat(padded[1]) || '',
@@ -294,13 +496,27 @@ export class SpreadsheetEditor {
           this._normBool(padded[9], 'true'),
           padded[10] || '',
           true,
+          parseFloat(padded[12]) || '',
+          padded[13] || '',
+          parseInt(padded[14]) || '',
+          this._normBool(padded[15], 'true'),
+          this._normNum(padded[16]),
+          this._normNum(padded[17]),
+          this._normNum(padded[18]),
+          parseDoor(padded[19]),
+          parseSideUp(padded[20]),
+          this._normBool(padded[21]),
+          this._normBool(padded[22]),
+          this._normNum(padded[23]),
+          parseUnit(padded[24]) || csvUnit,
+          parseShapeCell(padded[25]),
         ]);
       }
     }
 
     // Pad with empty rows
     while (data.length < 20) {
-      data.push(['', '', '', '', '', 1, 'false', 1, 'false', 'true', '', true]);
+      data.push(this._emptyRow());
     }
 
     this.jss.setData(data);
@@ -313,7 +529,8 @@ export class SpreadsheetEditor {
   exportCSV() {
     const data = this.jss.getData();
     const headers = ['nom', 'largeur', 'profondeur', 'hauteur', 'dept', 'qty',
-      'stackable', 'max_stack', 'is_floor', 'allow_rotation', 'group', 'sélection'];
+      'stackable', 'max_stack', 'is_floor', 'allow_rotation', 'group', 'sélection', 'poids', 'camion', 'stop', 'can_bear_load',
+      'pin_x', 'pin_y', 'pin_z', 'door', 'this_side_up', 'fragile', 'top_only', 'max_load_on_top', 'unit', 'shape'];
 
     // Filter out completely empty rows
     const nonEmpty = data.filter(row =>
@@ -344,7 +561,7 @@ export class SpreadsheetEditor {
   resetToTemplate() {
     const data = this._cloneTemplate();
     while (data.length < 20) {
-      data.push(['', '', '', '', '', 1, 'false', 1, 'false', 'true', '', true]);
+      data.push(this._emptyRow());
     }
     this.jss.setData(data);
     this._applyAllRowStyles();
@@ -392,11 +609,10 @@ export class SpreadsheetEditor {
     const row = data[rowIndex];
     const dept = String(row[COL.DEPT] || '').trim();
     const selected = row[COL.SELECTION] === true || row[COL.SELECTION] === 'true';
-    const numCols = 12;
 
     if (!selected) {
       // Deselected: dark + dimmed text
-      for (let col = 0; col < numCols; col++) {
+      for (let col = 0; col < NUM_COLS; col++) {
         const ref = this._cellRef(col, rowIndex);
         this.jss.setStyle(ref, 'background-color', DESELECTED_BG);
         this.jss.setStyle(ref, 'color', DESELECTED_TEXT);
@@ -404,7 +620,7 @@ export class SpreadsheetEditor {
     } else {
       // Selected: dept color or default, normal text
       const bg = DEPT_COLORS[dept] || '';
-      for (let col = 0; col < numCols; col++) {
+      for (let col = 0; col < NUM_COLS; col++) {
         const ref = this._cellRef(col, rowIndex);
         this.jss.setStyle(ref, 'background-color', bg);
         this.jss.setStyle(ref, 'color', '');
@@ -449,6 +665,10 @@ export class SpreadsheetEditor {
       if (!saved) return null;
       const data = JSON.parse(saved);
       if (!Array.isArray(data) || data.length === 0) return null;
+      // Rows saved before newer columns existed — pad with blank defaults
+      for (const row of data) {
+        while (row.length < NUM_COLS) row.push(EMPTY_ROW[row.length]);
+      }
       return data;
     } catch (e) {
       console.warn('[Spreadsheet] localStorage load failed:', e.message);
@@ -494,21 +714,19 @@ export class SpreadsheetEditor {
 
   _matchCSVHeader(row) {
     // Check if this row looks like a header (contains known column names)
-    const upper = row.map(s => String(s).trim().toUpperCase());
     let matches = 0;
     for (const aliases of Object.values(CSV_ALIASES)) {
-      if (upper.some(h => aliases.includes(h))) matches++;
+      if (row.some(h => csvHeaderMatches(h, aliases))) matches++;
     }
     return matches >= 3; // at least 3 known columns
   }
 
   _buildCSVColumnMap(headerRow) {
-    const upper = headerRow.map(s => String(s).trim().toUpperCase());
     const map = {};
 
     for (const [field, aliases] of Object.entries(CSV_ALIASES)) {
-      for (let i = 0; i < upper.length; i++) {
-        if (aliases.includes(upper[i])) {
+      for (let i = 0; i < headerRow.length; i++) {
+        if (csvHeaderMatches(headerRow[i], aliases)) {
           map[field] = i;
           break;
         }
@@ -517,13 +735,27 @@ export class SpreadsheetEditor {
 
     // Default positions for missing columns
     const FIELDS = ['nom', 'largeur', 'profondeur', 'hauteur', 'dept', 'qty',
-      'stackable', 'max_stack', 'is_floor', 'allow_rotation', 'group', 'selection'];
+      'stackable', 'max_stack', 'is_floor', 'allow_rotation', 'group', 'selection', 'poids', 'camion', 'stop', 'can_bear_load',
+      'pin_x', 'pin_y', 'pin_z', 'door', 'this_side_up', 'fragile', 'top_only', 'max_load_on_top', 'unit', 'shape'];
     for (let i = 0; i < FIELDS.length; i++) {
       if (map[FIELDS[i]] === undefined) map[FIELDS[i]] = -1;
     }
     return map;
   }
 
+  // Blank row in the sheet unit, so what is typed into it keeps its size
+  _emptyRow() {
+    const row = [...EMPTY_ROW];
+    row[COL.UNIT] = this.defaultUnit;
+    return row;
+  }
+
+  // Number cell that may stay blank (pins: blank = not pinned, 0 is a position)
+  _normNum(val) {
+    const n = parseFloat(String(val == null ? '' : val).replace(',', '.'));
+    return isNaN(n) ? '' : n;
+  }
+
   _normBool(val, defaultVal = 'false') {
     if (val === undefined || val === null || val === '') return defaultVal;
     const s = String(val).trim().toUpperCase();
@@ -0,0 +1,105 @@
+// units.js — Length units: parse, convert to and from inches, format for display
+//
+// The solver, viewer, editor and plan files work in inches. Sheets and truck
+// profiles may use other units: the loaders convert them to inches on the way
+// in, and stats, tooltips and exports convert back to the unit the user picked.
+
+export const LENGTH_UNITS = {
+  in: { label: 'in', suffix: '"', perInch: 1, digits: 1 },
+  ft: { label: 'ft', suffix: ' ft', perInch: 1 / 12, digits: 2 },
+  mm: { label: 'mm', suffix: ' mm', perInch: 25.4, digits: 0 },
+  cm: { label: 'cm', suffix: ' cm', perInch: 2.54, digits: 1 },
+  m:  { label: 'm', suffix: ' m', perInch: 0.0254, digits: 3 },
+};
+
+// Spellings found in sheets and truck profiles (upper-cased, dots dropped)
+const UNIT_ALIASES = {
+  in: ['IN', 'INS', 'INCH', 'INCHES', 'PO', 'POUCE', 'POUCES', '"'],
+  ft: ['FT', 'FOOT', 'FEET', 'PI', 'PIED', 'PIEDS', "'"],
+  mm: ['MM', 'MILLIMETER', 'MILLIMETERS', 'MILLIMETRE', 'MILLIMETRES', 'MILLIMÈTRE', 'MILLIMÈTRES'],
+  cm: ['CM', 'CENTIMETER', 'CENTIMETERS', 'CENTIMETRE', 'CENTIMETRES', 'CENTIMÈTRE', 'CENTIMÈTRES'],
+  m:  ['M', 'METER', 'METERS', 'METRE', 'METRES', 'MÈTRE', 'MÈTRES'],
+};
+
+/**
+ * Unit key for a cell or profile value: "cm", "Inches", "po." → 'cm', 'in', 'in'.
+ * @param {*} val
+ * @returns {string} — a LENGTH_UNITS key, or '' when blank or unknown
+ */
+export function parseUnit(val) {
+  const s = String(val == null ? '' : val).trim().toUpperCase().replace(/\./g, '');
+  if (!s) return '';
+  for (const [unit, aliases] of Object.entries(UNIT_ALIASES)) {
+    if (aliases.includes(s)) return unit;
+  }
+  return '';
+}
+
+/**
+ * Unit named in a column header: "Largeur (cm)" → 'cm', "L (po)" → 'in'.
+ * @param {string} header
+ * @returns {string} — a LENGTH_UNITS key, or '' when the header names none
+ */
+export function headerUnit(header) {
+  return parseUnit((String(header == null ? '' : header).match(/\(([^)]+)\)/) || [])[1]);
+}
+
+/**
+ * Convert a length to inches, to the ten-thousandth (metric sizes don't come out
+ * round). Unknown or blank units are taken as inches.
+ * @param {number} value
+ * @param {string} unit — LENGTH_UNITS key
+ * @returns {number}
+ */
+export function toInches(value, unit) {
+  const u = LENGTH_UNITS[unit];
+  return u && unit !== 'in' ? Math.round((value / u.perInch) * 10000) / 10000 : value;
+}
+
+/**
+ * Convert a length in inches to another unit.
+ * @param {number} inches
+ * @param {string} unit — LENGTH_UNITS key
+ * @returns {number}
+ */
+export function fromInches(inches, unit) {
+  const u = LENGTH_UNITS[unit];
+  return u ? inches * u.perInch : inches;
+}
+
+/**
+ * Display a length given in inches: 36 → '36"', '91.4 cm', '914 mm'.
+ * @param {number} inches
+ * @param {string} [unit='in'] — LENGTH_UNITS key
+ * @param {number} [digits] — decimals (default: the unit's own)
+ * @returns {string}
+ */
+export function formatLength(inches, unit = 'in', digits) {
+  const u = LENGTH_UNITS[unit] || LENGTH_UNITS.in;
+  const f = 10 ** (digits ?? u.digits);
+  return `${Math.round(inches * u.perInch * f) / f}${u.suffix}`;
+}
+
+/**
+ * Truck profile with every length in inches. Profiles declare their unit in
+ * `unit` ("inches", "cm", "mm"...); axle loads and payload are weights and
+ * are left alone.
+ * @param {Object} profile — trucks.json entry
+ * @returns {Object} — a converted copy (the profile itself when already in inches)
+ */
+export function truckInInches(profile) {
+  const unit = parseUnit(profile.unit) || 'in';
+  if (unit === 'in') return profile;
+  const len = v => (typeof v === 'number' ? toInches(v, unit) : v);
+  const box = b => ({ ...b, x: len(b.x), y: len(b.y), z: len(b.z), width: len(b.width), depth: len(b.depth), height: len(b.height) });
+  return {
+    ...profile,
+    unit: 'inches',
+    interiorWidth: len(profile.interiorWidth),
+    interiorLength: len(profile.interiorLength),
+    interiorHeight: len(profile.interiorHeight),
+    axles: (profile.axles || []).map(a => ({ ...a, position: len(a.position) })),
+    obstructions: (profile.obstructions || []).map(box),
+    doors: (profile.doors || []).map(d => ({ ...d, y: len(d.y), width: len(d.width), height: len(d.height) })),
+  };
+}
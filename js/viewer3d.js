@@ -1,6 +1,7 @@
 // viewer3d.js — Three.js 3D truck viewer module
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { caseCylinder } from './solver.js';
 
 // ── Department color helpers ──
 const DEFAULT_COLOR = 0xC0C0C0;
@@ -17,9 +18,26 @@ function getDeptHex(dept, departments) {
 }
 
 // ── Mesh creation ──
+
+/**
+ * Geometry for a placed case, centered on its bounding box: a box, or the
+ * cylinder a round case fills it with (see caseCylinder).
+ * @param {Object} item — placement { width, depth, height, shape? }
+ * @returns {THREE.BufferGeometry}
+ */
+export function caseGeometry(item) {
+  const cyl = caseCylinder(item);
+  if (!cyl) return new THREE.BoxGeometry(item.width, item.height, item.depth);
+  // Three.js cylinders stand on y (up); truck x stays x and truck y runs along z
+  const geo = new THREE.CylinderGeometry(cyl.radius, cyl.radius, cyl.length, 32);
+  if (cyl.axis === 'x') geo.rotateZ(Math.PI / 2);
+  if (cyl.axis === 'y') geo.rotateX(Math.PI / 2);
+  return geo;
+}
+
 function createCaseMesh(item, departments, opacity = 0.82, wireColor = 0x000000, wireOpacity = 0.3) {
   const color = getDeptColor(item.dept || 'AUTRE', departments);
-  const geo = new THREE.BoxGeometry(item.width, item.height, item.depth);
+  const geo = caseGeometry(item);
   const mat = new THREE.MeshPhongMaterial({
     color, transparent: true, opacity, shininess: 40,
   });
@@ -34,7 +52,8 @@ function createCaseMesh(item, departments, opacity = 0.82, wireColor = 0x000000,
     originalColor: color,
     originalOpacity: opacity,
   };
-  const wireGeo = new THREE.EdgesGeometry(geo);
+  // 20° threshold: box edges and cylinder rims, not every facet of a round side
+  const wireGeo = new THREE.EdgesGeometry(geo, 20);
   const wireMat = new THREE.LineBasicMaterial({ color: wireColor, transparent: true, opacity: wireOpacity });
   const wireframe = new THREE.LineSegments(wireGeo, wireMat);
   wireframe.position.copy(mesh.position);
@@ -43,6 +62,26 @@ function createCaseMesh(item, departments, opacity = 0.82, wireColor = 0x000000,
   return { mesh, wireframe };
 }
 
+// ── Hatch texture for virtual filler blocks (diagonal stripes, repeats every 12") ──
+const FILLER_COLORS = { blanket: 0x6a8caf, airbag: 0xe8e8e8, dunnage: 0xc8a165 };
+
+function createHatchTexture(color) {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 32;
+  const ctx = canvas.getContext('2d');
+  ctx.strokeStyle = '#' + color.toString(16).padStart(6, '0');
+  ctx.lineWidth = 4;
+  for (const o of [-32, 0, 32]) {
+    ctx.beginPath();
+    ctx.moveTo(o, 32);
+    ctx.lineTo(o + 32, 0);
+    ctx.stroke();
+  }
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+  return texture;
+}
+
 // ── Text sprite helper ──
 function addTextSprite(scene, text, x, y, z, color, size) {
   const canvas = document.createElement('canvas');
@@ -72,10 +111,14 @@ export class TruckViewer {
   constructor(containerEl) {
     this.container = containerEl;
     this.departments = {};
-    this.truck = { width: 98, depth: 624, height: 108 };
+    this.truck = { width: 98, depth: 624, height: 108, obstructions: [], doors: [] };
+    this.unit = 'in';         // length unit of the scale marks (see units.js)
     this.caseMeshes = [];
     this.placementData = [];
     this.wallOverlays = null; // group for wall section overlays
+    this.cogMarker = null;    // group for center-of-gravity marker
+    this.securingGroup = null; // group for load bars and straps (securing plan)
+    this.voidGroup = null;    // group for virtual filler blocks in wall voids
     this.selectedMesh = null;
     this.hoveredMesh = null;
     this.isPerspective = true;
@@ -220,16 +263,28 @@ export class TruckViewer {
     // Scale marks
     this._buildScaleMarks(w, d, h);
 
-    // Door opening indicator (at z = d)
-    const doorGeo = new THREE.BufferGeometry();
-    const doorVerts = [
-      0, 0, d, w, 0, d,
-      w, 0, d, w, h, d,
-      0, 0, d, 0, h, d,
-    ];
-    doorGeo.setAttribute('position', new THREE.Float32BufferAttribute(doorVerts, 3));
+    // Door opening indicators — the whole rear end unless the profile declares its doors
     const doorMat = new THREE.LineBasicMaterial({ color: 0xe94560, linewidth: 2 });
-    this.truckGroup.add(new THREE.LineSegments(doorGeo, doorMat));
+    const doors = this.truck.doors.length ? this.truck.doors : [{ side: 'rear', width: w, height: h }];
+    for (const door of doors) {
+      const dh = Math.min(door.height, h);
+      let doorVerts;
+      if (door.side === 'left' || door.side === 'right') {
+        const x = door.side === 'left' ? 0 : w;
+        const z0 = door.y || 0, z1 = z0 + door.width;
+        doorVerts = [x, 0, z0, x, dh, z0, x, dh, z0, x, dh, z1, x, dh, z1, x, 0, z1];
+        if (door.label) addTextSprite(this.truckGroup, door.label, x + (door.side === 'left' ? -10 : 10), dh + 6, (z0 + z1) / 2, 0xe94560, 9);
+      } else {
+        const x0 = door.x ?? (w - door.width) / 2, x1 = x0 + door.width;
+        doorVerts = [x0, 0, d, x0, dh, d, x0, dh, d, x1, dh, d, x1, dh, d, x1, 0, d, x0, 0, d, x1, 0, d];
+      }
+      const doorGeo = new THREE.BufferGeometry();
+      doorGeo.setAttribute('position', new THREE.Float32BufferAttribute(doorVerts, 3));
+      this.truckGroup.add(new THREE.LineSegments(doorGeo, doorMat));
+    }
+
+    // Obstructions (wheel wells, lift-gate housings, reefer units)
+    this._buildObstructions();
 
     // Labels
     addTextSprite(this.truckGroup, 'CAB', w / 2, h + 8, -10, 0x4488cc, 14);
@@ -238,6 +293,23 @@ export class TruckViewer {
     this.scene.add(this.truckGroup);
   }
 
+  // Solid gray boxes — truck space no case may use (truck profile `obstructions`)
+  _buildObstructions() {
+    const mat = new THREE.MeshPhongMaterial({ color: 0x5a6270, transparent: true, opacity: 0.85, shininess: 10 });
+    const edgeMat = new THREE.LineBasicMaterial({ color: 0xb0bec5, transparent: true, opacity: 0.7 });
+    for (const o of this.truck.obstructions) {
+      const oz = o.z || 0;
+      const geo = new THREE.BoxGeometry(o.width, o.height, o.depth);
+      const box = new THREE.Mesh(geo, mat);
+      box.position.set(o.x + o.width / 2, oz + o.height / 2, o.y + o.depth / 2);
+      this.truckGroup.add(box);
+      const edges = new THREE.LineSegments(new THREE.EdgesGeometry(geo), edgeMat);
+      edges.position.copy(box.position);
+      this.truckGroup.add(edges);
+      if (o.label) addTextSprite(this.truckGroup, o.label, o.x + o.width / 2, oz + o.height + 6, o.y + o.depth / 2, 0xb0bec5, 8);
+    }
+  }
+
   _buildFloorGrid(w, d) {
     const gridLines = [];
     const step = 12;
@@ -254,32 +326,36 @@ export class TruckViewer {
   }
 
   _buildScaleMarks(w, d, h) {
-    const step = 12;
+    // A tick per foot labelled in feet, or in metric units a tick per 10 cm labelled in meters
+    const metric = ['mm', 'cm', 'm'].includes(this.unit);
+    const step = metric ? 10 / 2.54 : 12;
+    const label = i => (metric ? `${i / 10} m` : `${i}'`);
+    const [everyX, everyZ, everyY] = metric ? [5, 10, 5] : [2, 5, 2];
     // X axis (width)
-    for (let x = 0; x <= w; x += step) {
-      const ft = Math.round(x / 12);
-      if (ft % 2 === 0) {
-        addTextSprite(this.truckGroup, `${ft}'`, x, -8, -6, 0x5588aa, 9);
+    for (let i = 0; i * step <= w + 0.01; i++) {
+      const x = i * step;
+      if (i % everyX === 0) {
+        addTextSprite(this.truckGroup, label(i), x, -8, -6, 0x5588aa, 9);
       }
       const tickGeo = new THREE.BufferGeometry();
       tickGeo.setAttribute('position', new THREE.Float32BufferAttribute([x, 0, -2, x, 0, 0], 3));
       this.truckGroup.add(new THREE.LineSegments(tickGeo, new THREE.LineBasicMaterial({ color: 0x4488cc })));
     }
     // Z axis (depth)
-    for (let z = 0; z <= d; z += step) {
-      const ft = Math.round(z / 12);
-      if (ft % 5 === 0) {
-        addTextSprite(this.truckGroup, `${ft}'`, -14, -8, z, 0x5588aa, 9);
+    for (let i = 0; i * step <= d + 0.01; i++) {
+      const z = i * step;
+      if (i % everyZ === 0) {
+        addTextSprite(this.truckGroup, label(i), -14, -8, z, 0x5588aa, 9);
       }
       const tickGeo = new THREE.BufferGeometry();
       tickGeo.setAttribute('position', new THREE.Float32BufferAttribute([-2, 0, z, 0, 0, z], 3));
       this.truckGroup.add(new THREE.LineSegments(tickGeo, new THREE.LineBasicMaterial({ color: 0x4488cc })));
     }
     // Y axis (height)
-    for (let y = 0; y <= h; y += step) {
-      const ft = Math.round(y / 12);
-      if (ft % 2 === 0) {
-        addTextSprite(this.truckGroup, `${ft}'`, -14, y, -6, 0x5588aa, 9);
+    for (let i = 0; i * step <= h + 0.01; i++) {
+      const y = i * step;
+      if (i % everyY === 0) {
+        addTextSprite(this.truckGroup, label(i), -14, y, -6, 0x5588aa, 9);
       }
     }
   }
@@ -289,12 +365,21 @@ export class TruckViewer {
     this.truck.width = truckConfig.interiorWidth;
     this.truck.depth = truckConfig.interiorLength;
     this.truck.height = truckConfig.interiorHeight;
+    this.truck.obstructions = truckConfig.obstructions || [];
+    this.truck.doors = truckConfig.doors || [];
     this._buildTruck();
     this.controls.target.set(this.truck.width / 2, 0, this.truck.depth / 3);
     this.controls.update();
     this.setDefaultView();
   }
 
+  // ── Public: set the length unit of the scale marks and rebuild them ──
+  setUnit(unit) {
+    if (unit === this.unit) return;
+    this.unit = unit;
+    if (this.truckGroup) this._buildTruck();
+  }
+
   // ── Public: set departments (for colors) ──
   setDepartments(departments) {
     this.departments = departments;
@@ -331,20 +416,23 @@ export class TruckViewer {
     this.wallOverlays = new THREE.Group();
     this.wallOverlays.userData.isWallOverlay = true;
 
-    // Alternating stripe colors for visibility
+    // Alternating stripe colors for visibility; multi-stop loads are colored by stop instead
     const stripeColors = [0x4488cc, 0x44cc88];
+    const stopColors = [0xe94560, 0xf0a030, 0x4caf50, 0x4488cc, 0xaa66cc, 0x44cccc];
+    const byStop = wallSections.some(ws => ws.stop > 0);
     const w = this.truck.width;
 
     wallSections.forEach((ws, i) => {
       const depth = ws.yEnd - ws.yStart;
       if (depth <= 0) return;
+      const color = byStop ? stopColors[((ws.stop || 1) - 1) % stopColors.length] : stripeColors[i % 2];
 
       // Floor band (thin plane just above the floor)
       const bandGeo = new THREE.PlaneGeometry(w, depth);
       const bandMat = new THREE.MeshBasicMaterial({
-        color: stripeColors[i % 2],
+        color,
         transparent: true,
-        opacity: 0.12,
+        opacity: byStop ? 0.2 : 0.12,
         side: THREE.DoubleSide,
         depthWrite: false,
       });
@@ -359,7 +447,7 @@ export class TruckViewer {
         0, 0.2, ws.yStart, w, 0.2, ws.yStart,
       ], 3));
       const lineMat = new THREE.LineBasicMaterial({
-        color: stripeColors[i % 2], transparent: true, opacity: 0.5,
+        color, transparent: true, opacity: 0.5,
       });
       this.wallOverlays.add(new THREE.LineSegments(lineGeo, lineMat));
 
@@ -370,14 +458,14 @@ export class TruckViewer {
         w + 0.5, 0, ws.yStart, w + 0.5, ws.caseCount > 0 ? Math.min(ws.yEnd - ws.yStart, 108) : 24, ws.yStart,
       ], 3));
       const edgeMat = new THREE.LineBasicMaterial({
-        color: stripeColors[i % 2], transparent: true, opacity: 0.3,
+        color, transparent: true, opacity: 0.3,
       });
       this.wallOverlays.add(new THREE.LineSegments(edgeGeo, edgeMat));
 
       // Label: wall name + fill %
       const label = ws.label.length > 20 ? ws.label.substring(0, 18) + '..' : ws.label;
-      const labelText = `${label} ${ws.fillPct}%`;
-      addTextSprite(this.wallOverlays, labelText, w / 2, -6, ws.yStart + depth / 2, stripeColors[i % 2], 8);
+      const labelText = `${byStop && ws.stop ? `Stop ${ws.stop} · ` : ''}${label} ${ws.fillPct}%`;
+      addTextSprite(this.wallOverlays, labelText, w / 2, -6, ws.yStart + depth / 2, color, 8);
     });
 
     this.scene.add(this.wallOverlays);
@@ -399,6 +487,131 @@ export class TruckViewer {
     }
   }
 
+  // ── Public: show center-of-gravity marker (sphere + drop line + floor cross) ──
+  showCenterOfGravity(cog) {
+    this.clearCenterOfGravity();
+    if (!cog) return;
+
+    // Solver (x, y, z) → scene (x, z, y): y is depth, z is height
+    const color = 0xFFD700;
+    this.cogMarker = new THREE.Group();
+    this.cogMarker.userData.isCogMarker = true;
+
+    const sphere = new THREE.Mesh(
+      new THREE.SphereGeometry(3, 16, 12),
+      new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.9 })
+    );
+    sphere.position.set(cog.x, cog.z, cog.y);
+    sphere.renderOrder = 10;
+    this.cogMarker.add(sphere);
+
+    const lineGeo = new THREE.BufferGeometry();
+    lineGeo.setAttribute('position', new THREE.Float32BufferAttribute([
+      cog.x, cog.z, cog.y, cog.x, 0.3, cog.y,
+      cog.x - 8, 0.3, cog.y, cog.x + 8, 0.3, cog.y,
+      cog.x, 0.3, cog.y - 8, cog.x, 0.3, cog.y + 8,
+    ], 3));
+    const lineMat = new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.8, depthTest: false });
+    this.cogMarker.add(new THREE.LineSegments(lineGeo, lineMat));
+
+    addTextSprite(this.cogMarker, 'CoG', cog.x, cog.z + 10, cog.y, color, 10);
+    this.scene.add(this.cogMarker);
+  }
+
+  // ── Public: clear center-of-gravity marker ──
+  clearCenterOfGravity() {
+    if (this.cogMarker) {
+      this.scene.remove(this.cogMarker);
+      this.cogMarker.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+          if (child.material.map) child.material.map.dispose();
+          child.material.dispose();
+        }
+      });
+      this.cogMarker = null;
+    }
+  }
+
+  // ── Public: show the securing plan (computeSecuringPlan) — bars gray, straps orange ──
+  showSecuring(securing) {
+    this.clearSecuring();
+    if (!securing || !securing.items.length) return;
+
+    // Solver (x, y, z) → scene (x, z, y); each bar or strap sits on the door side of its face
+    this.securingGroup = new THREE.Group();
+    this.securingGroup.userData.isSecuring = true;
+    const barMat = new THREE.MeshPhongMaterial({ color: 0x9aa4b1, shininess: 60 });
+    const strapMat = new THREE.MeshBasicMaterial({ color: 0xf0a030 });
+    for (const it of securing.items) {
+      const bar = it.type === 'bar';
+      const thick = bar ? 1.5 : 0.4;
+      const tall = bar ? 1.5 : 2;
+      const geo = it.axis === 'y'
+        ? new THREE.BoxGeometry(thick, tall, it.length)
+        : new THREE.BoxGeometry(it.length, tall, thick);
+      const mesh = new THREE.Mesh(geo, bar ? barMat : strapMat);
+      if (it.axis === 'y') mesh.position.set(it.x, it.z, it.y + it.length / 2);
+      else mesh.position.set(it.x + it.length / 2, it.z, it.y + thick / 2);
+      this.securingGroup.add(mesh);
+    }
+    this.scene.add(this.securingGroup);
+  }
+
+  // ── Public: clear the securing plan ──
+  clearSecuring() {
+    if (this.securingGroup) {
+      this.scene.remove(this.securingGroup);
+      this.securingGroup.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+      this.securingGroup = null;
+    }
+  }
+
+  // ── Public: show virtual filler blocks in wall voids (computeVoids), hatched by fill ──
+  showVoids(voids) {
+    this.clearVoids();
+    if (!voids || !voids.length) return;
+
+    this.voidGroup = new THREE.Group();
+    this.voidGroup.userData.isVoidFill = true;
+    for (const v of voids) {
+      const color = FILLER_COLORS[v.fill] || FILLER_COLORS.dunnage;
+      const map = createHatchTexture(color);
+      map.repeat.set(Math.max(1, v.width / 12), Math.max(1, v.height / 12));
+      const geo = new THREE.BoxGeometry(v.width, v.height, v.depth);
+      const mesh = new THREE.Mesh(geo, new THREE.MeshBasicMaterial({
+        map, transparent: true, opacity: 0.7, side: THREE.DoubleSide, depthWrite: false,
+      }));
+      mesh.position.set(v.x + v.width / 2, v.z + v.height / 2, v.y + v.depth / 2);
+      this.voidGroup.add(mesh);
+      const edges = new THREE.LineSegments(new THREE.EdgesGeometry(geo),
+        new THREE.LineDashedMaterial({ color, dashSize: 3, gapSize: 2 }));
+      edges.computeLineDistances();
+      edges.position.copy(mesh.position);
+      this.voidGroup.add(edges);
+      addTextSprite(this.voidGroup, v.fill, v.x + v.width / 2, v.z + v.height + 5, v.y + v.depth / 2, color, 7);
+    }
+    this.scene.add(this.voidGroup);
+  }
+
+  // ── Public: clear virtual filler blocks ──
+  clearVoids() {
+    if (this.voidGroup) {
+      this.scene.remove(this.voidGroup);
+      this.voidGroup.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+          if (child.material.map) child.material.map.dispose();
+          child.material.dispose();
+        }
+      });
+      this.voidGroup = null;
+    }
+  }
+
   // ── Public: clear all cases ──
   clearCases() {
     this.caseMeshes.forEach(m => {
@@ -408,6 +621,9 @@ export class TruckViewer {
     this.caseMeshes = [];
     this.placementData = [];
     this.clearWallSections();
+    this.clearCenterOfGravity();
+    this.clearSecuring();
+    this.clearVoids();
     this.selectedMesh = null;
     this.hoveredMesh = null;
   }